@@ -0,0 +1,61 @@
+// Settings dialog for per-account transaction defaults (cleared state, approval, flag, memo prefix)
+import { DOM } from './dom.js';
+import { showToast, fillFlagSelect, fillClearedSelect } from './ui.js';
+import { getAccountDefaults, setAccountDefaults } from './config.js';
+import { getCachedAccounts } from './ynab.js';
+
+export function openAccountDefaultsManager() {
+    if (!DOM.budgetId.value) {
+        showToast('Select a budget first', 'info');
+        return;
+    }
+    renderAccountDefaultsList();
+    DOM.accountDefaultsModal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+export function closeAccountDefaultsManager() {
+    DOM.accountDefaultsModal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
+
+function renderAccountDefaultsList() {
+    const budgetId = DOM.budgetId.value;
+    const accounts = getCachedAccounts(budgetId);
+    const list = DOM.accountDefaultsList;
+    list.innerHTML = '';
+
+    if (accounts.length === 0) {
+        list.innerHTML = '<li class="alias-empty">No accounts loaded for this budget yet.</li>';
+        return;
+    }
+
+    accounts.forEach(account => {
+        const defaults = getAccountDefaults(budgetId, account.id);
+        const item = document.createElement('li');
+        item.className = 'account-default-item';
+        item.innerHTML = `
+            <span class="alias-merchant"></span>
+            <select class="edit-input default-cleared"></select>
+            <label class="default-approved"><input type="checkbox"> Approved</label>
+            <select class="edit-input default-flag"></select>
+            <input type="text" class="edit-input default-memo-prefix" placeholder="Memo prefix">
+        `;
+        item.querySelector('.alias-merchant').textContent = account.name;
+        fillClearedSelect(item.querySelector('.default-cleared'), defaults.cleared);
+        item.querySelector('.default-approved input').checked = defaults.approved;
+        fillFlagSelect(item.querySelector('.default-flag'), defaults.flagColor);
+        item.querySelector('.default-memo-prefix').value = defaults.memoPrefix;
+
+        item.addEventListener('change', () => {
+            setAccountDefaults(budgetId, account.id, {
+                cleared: item.querySelector('.default-cleared').value,
+                approved: item.querySelector('.default-approved input').checked,
+                flagColor: item.querySelector('.default-flag').value,
+                memoPrefix: item.querySelector('.default-memo-prefix').value.trim()
+            });
+        });
+
+        list.appendChild(item);
+    });
+}
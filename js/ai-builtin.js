@@ -0,0 +1,157 @@
+// Extraction provider for the browser's built-in model (Prompt API, the LanguageModel global)
+import { getCurrentCategories, categoryKey, buildSystemPrompt } from './ai-prompt.js';
+
+const EXPECTED_INPUTS = [
+    { type: "text", languages: ["en", "ja"] },
+    { type: "image" }
+];
+const EXPECTED_OUTPUTS = [
+    { type: "text", languages: ["ja"] }
+];
+
+let baseSession = null;
+let warmUpSession = null;
+// Category names baked into baseSession's system prompt, to detect when it goes stale
+let sessionCategoryKey = null;
+
+export const builtinProvider = {
+    id: 'builtin',
+    label: 'Built-in AI',
+    checkAvailability,
+    warmUp: warmUpAI,
+    prompt,
+    reset: resetSession,
+    destroy: destroySession
+};
+
+async function checkAvailability() {
+    if (typeof LanguageModel === 'undefined') {
+        throw new Error('LanguageModel API not found. Please use a browser that supports it.');
+    }
+
+    const availability = await LanguageModel.availability({
+        expectedInputs: EXPECTED_INPUTS,
+        expectedOutputs: EXPECTED_OUTPUTS
+    });
+
+    if (availability === 'available') return { status: 'ready' };
+    if (availability === 'downloadable' || availability === 'downloading') return { status: 'downloading' };
+    throw new Error(`AI not available: ${availability}`);
+}
+
+async function warmUpAI() {
+    if (baseSession || warmUpSession) return;
+
+    performance.mark('start-ai-warm-up');
+    try {
+        const dummySession = await LanguageModel.create({
+            temperature: 0.0,
+            topK: 1,
+            expectedInputs: EXPECTED_INPUTS,
+            initialPrompts: [
+                {
+                    role: 'system', content: `Respond with '.' only.`
+                }
+            ],
+            expectedOutputs: EXPECTED_OUTPUTS
+        });
+
+        // Dummy prompt to trigger model loading/warming
+        await dummySession.prompt([{ role: 'user', content: [{ type: 'text', value: '.' }] }]);
+
+        warmUpSession = dummySession;
+
+        performance.mark('end-ai-warm-up');
+        performance.measure('AI Warm-up duration', 'start-ai-warm-up', 'end-ai-warm-up');
+
+        // Access the result programmatically
+        const measure = performance.getEntriesByName('AI Warm-up duration')[0];
+        console.log('AI Warm-up successful; duration:', measure.duration);
+    } catch (err) {
+        console.warn('AI Warm-up failed:', err);
+    }
+}
+
+function resetSession() {
+    if (baseSession) {
+        baseSession.destroy();
+        baseSession = null;
+    }
+    if (warmUpSession) {
+        warmUpSession.destroy();
+        warmUpSession = null;
+    }
+    console.log('AI Session reset (will re-initialize with fresh settings on next use)');
+}
+
+function destroySession() {
+    if (baseSession) {
+        baseSession.destroy();
+        baseSession = null;
+        console.log('Global AI Session destroyed');
+    }
+    if (warmUpSession) {
+        warmUpSession.destroy();
+        warmUpSession = null;
+        console.log('Warm-up AI Session destroyed');
+    }
+}
+
+async function setupAI() {
+    if (baseSession) return;
+
+    const categories = getCurrentCategories();
+
+    performance.mark('start-ai-setup');
+
+    try {
+        const params = await LanguageModel.params();
+        baseSession = await LanguageModel.create({
+            temperature: 0.0,
+            topK: params.defaultTopK,
+            expectedInputs: EXPECTED_INPUTS,
+            initialPrompts: [
+                { role: 'system', content: buildSystemPrompt(categories) }
+            ],
+            expectedOutputs: EXPECTED_OUTPUTS
+        });
+
+        sessionCategoryKey = categoryKey(categories);
+
+        performance.mark('end-ai-setup');
+        const measure = performance.measure('AI Setup duration', 'start-ai-setup', 'end-ai-setup');
+        console.log('AI Setup successful; duration:', measure.duration);
+
+        // Cleanup warm-up session now that we have a base session
+        if (warmUpSession) {
+            warmUpSession.destroy();
+            warmUpSession = null;
+            console.log('Warm-up session cleaned up after successful setup');
+        }
+    } catch (err) {
+        console.warn('AI Setup failed:', err);
+    }
+}
+
+async function getAISession(signal) {
+    // Categories were synced since the prompt was built: rebuild it with the current list
+    if (baseSession && sessionCategoryKey !== categoryKey(getCurrentCategories())) {
+        resetSession();
+    }
+    if (!baseSession) {
+        await setupAI();
+    }
+    if (!baseSession) throw new Error("Could not initialize AI session");
+
+    // Clone the base session so each extraction starts from the clean system prompt
+    return await baseSession.clone({ signal });
+}
+
+async function prompt(messages, { schema, signal }) {
+    const session = await getAISession(signal);
+    try {
+        return await session.prompt(messages, { responseConstraint: schema, signal });
+    } finally {
+        session.destroy();
+    }
+}
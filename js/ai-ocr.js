@@ -0,0 +1,96 @@
+// Offline fallback provider: Tesseract OCR (WASM) plus the rule-based parser in receipt-parser.js.
+// Used when the selected AI is unavailable. The OCR text travels with the result (ocrText)
+// so a later language-model run on the same card can use it as extra grounding;
+// recognizeImages() also reads receipts for the language models directly.
+import { CONFIG } from './config.js';
+import { parseReceiptText } from './receipt-parser.js';
+
+// One worker, created on first use; it recognizes one image at a time
+let workerPromise = null;
+
+export const ocrProvider = {
+    id: 'ocr',
+    label: 'Offline OCR',
+    checkAvailability,
+    warmUp: () => {},
+    prompt,
+    reset: () => {},
+    destroy: terminateWorker
+};
+
+function localUrl(path) {
+    return new URL(path, location.href).href;
+}
+
+async function checkAvailability() {
+    if (typeof WebAssembly === 'undefined') throw new Error('OCR needs WebAssembly, which this browser lacks');
+
+    // The engine ships with the app; the language data is the part a trimmed deployment may lack
+    for (const lang of CONFIG.ocrLanguages.split('+')) {
+        const url = `${localUrl(CONFIG.ocrLangPath)}/${lang}.traineddata.gz`;
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' }).catch(() => null);
+        if (!response?.ok) throw new Error(`OCR language data not found at ${CONFIG.ocrLangPath}/${lang}.traineddata.gz`);
+    }
+    return { status: 'ready' };
+}
+
+async function getWorker() {
+    if (!workerPromise) {
+        workerPromise = (async () => {
+            const { default: Tesseract } = await import(localUrl(CONFIG.tesseractPath));
+            return Tesseract.createWorker(CONFIG.ocrLanguages, 1, {
+                // The worker runs from a blob URL, so every path it loads must be absolute
+                workerPath: localUrl(CONFIG.tesseractWorkerPath),
+                corePath: localUrl(CONFIG.tesseractCorePath),
+                langPath: localUrl(CONFIG.ocrLangPath),
+                gzip: true
+            });
+        })();
+        // Let a failed start be retried next time
+        workerPromise.catch(() => { workerPromise = null; });
+    }
+    return workerPromise;
+}
+
+function terminateWorker() {
+    if (!workerPromise) return;
+    workerPromise.then(worker => worker.terminate()).catch(err => console.warn('Could not stop the OCR worker:', err));
+    workerPromise = null;
+}
+
+/**
+ * Reads the text of each image in turn, one string per image.
+ * Tesseract can't stop mid-image; cancelling takes effect between images.
+ */
+export async function recognizeImages(images, signal) {
+    const worker = await getWorker();
+    const texts = [];
+    for (const image of images) {
+        signal?.throwIfAborted();
+        const { data } = await worker.recognize(image);
+        texts.push(data.text);
+    }
+    signal?.throwIfAborted();
+    return texts;
+}
+
+/**
+ * Same contract as the model providers. `grounding` is text already known for the receipt
+ * (a PDF text layer): exact where OCR would guess, so it is parsed instead of the images.
+ */
+async function prompt(messages, { signal, grounding = '' }) {
+    if (grounding) return JSON.stringify({ ...parseReceiptText(grounding), ocrText: grounding });
+
+    const images = messages.flatMap(message => message.content).filter(part => part.type === 'image');
+    const texts = await recognizeImages(images.map(image => image.value), signal);
+    const text = texts.join('\n');
+    const data = { ...parseReceiptText(text), ocrText: text };
+    // Parts of a tall receipt, parsed one by one as well so their readings can be compared
+    if (texts.length > 1) {
+        data.parts = texts.map(partText => {
+            const { amounts, dates } = parseReceiptText(partText);
+            return { amounts, dates };
+        });
+    }
+    return JSON.stringify(data);
+}
@@ -0,0 +1,97 @@
+// Extraction provider for an OpenAI-compatible chat completions server with vision support,
+// typically a local llama.cpp (llama-server) or Ollama. Same system prompt and JSON schema as
+// the built-in model; the schema goes out as response_format so the server constrains output.
+import { CONFIG, getOpenAISettings } from './config.js';
+import { getCurrentCategories, buildSystemPrompt } from './ai-prompt.js';
+
+export const openAIProvider = {
+    id: 'openai',
+    label: 'Local server',
+    checkAvailability,
+    warmUp: () => {},
+    prompt,
+    reset: () => {},
+    destroy: () => {}
+};
+
+async function checkAvailability() {
+    const { baseUrl, model } = getOpenAISettings();
+    if (!baseUrl) throw new Error('Set the local AI server URL first');
+    if (!model) throw new Error('Set the local AI model name first');
+
+    const response = await request('/models', { method: 'GET', signal: AbortSignal.timeout(CONFIG.openAIProbeTimeoutMs) });
+    const body = await response.json().catch(() => ({}));
+    const models = (body.data || []).map(m => m.id);
+    // Some servers (llama.cpp) answer with whatever model they were started with
+    if (models.length > 0 && !models.includes(model)) {
+        console.warn(`Model "${model}" is not in the server's list:`, models);
+    }
+    return { status: 'ready' };
+}
+
+/**
+ * @param messages Prompt API style: [{ role, content: [{ type: 'text' | 'image', value }] }]
+ * @returns {Promise<string>} JSON text matching `schema`
+ */
+async function prompt(messages, { schema, signal }) {
+    const { model } = getOpenAISettings();
+    const chat = [{ role: 'system', content: buildSystemPrompt(getCurrentCategories()) }];
+    for (const message of messages) {
+        chat.push({ role: message.role, content: await Promise.all(message.content.map(toContentPart)) });
+    }
+
+    const response = await request('/chat/completions', {
+        method: 'POST',
+        signal,
+        body: JSON.stringify({
+            model,
+            temperature: 0,
+            messages: chat,
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'receipt', schema }
+            }
+        })
+    });
+
+    const body = await response.json();
+    const content = body.choices?.[0]?.message?.content;
+    if (!content) throw new Error('The local AI server returned an empty answer');
+    return content;
+}
+
+async function request(path, { method, body, signal }) {
+    const { baseUrl, apiKey } = getOpenAISettings();
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    let response;
+    try {
+        response = await fetch(`${baseUrl.replace(/\/+$/, '')}${path}`, { method, headers, body, signal });
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        if (err.name === 'TimeoutError') throw new Error(`No answer from the local AI server at ${baseUrl}`);
+        throw new Error(`Could not reach the local AI server at ${baseUrl} (is it running and allowing this origin?)`);
+    }
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Local AI server error ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+    }
+    return response;
+}
+
+async function toContentPart(part) {
+    if (part.type === 'image') {
+        return { type: 'image_url', image_url: { url: await toDataURL(part.value) } };
+    }
+    return { type: 'text', text: part.value };
+}
+
+function toDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
@@ -0,0 +1,39 @@
+// Instructions shared by every extraction provider (ai-builtin.js, ai-openai.js)
+import { getYNABCategories } from './config.js';
+
+export function getCurrentCategories() {
+    const categoryData = getYNABCategories();
+    return (categoryData && categoryData.categories) ? categoryData.categories : [];
+}
+
+// Changes whenever the budget's categories do, so providers can tell a stale system prompt
+export function categoryKey(categories) {
+    return categories.map(c => c.name).join('\n');
+}
+
+export function buildSystemPrompt(categories) {
+    return `You are a Japanese receipt parser. Extract Merchant name, Date (YYYY-MM-DD), Total Amount as a number, Currency, and Category, plus the Time, Payment Method and Receipt Number when printed.
+        
+        Provide up to 3 candidates for each field, ordered by likelihood (most likely first).
+        If a field is very certain, you can provide fewer candidates.
+        Omit any explanations.
+
+        Hints for extractions:
+        - **Total Amount**: Usually preceded by the symbol "¥", and typically presented in a larger or bold font and after the "合計" label (do not confuse with "小計"). Japanese Yen does not use cents/decimals; keep decimals for currencies that do (e.g. $12.50).
+        - **Currency**: The ISO 4217 code of the receipt's currency (e.g. "JPY", "USD", "EUR"), inferred from symbols such as "¥", "円", "$", "€" or the country of the address.
+        - **Date**: Look for "YYYY/MM/DD", "YYYY-MM-DD", or "YYYY年MM月DD日". It's often at the top and may be followed by a time (HH:mm).
+        - **Merchant**: Usually at the very top. It's often followed by an address or phone number. Do not confuse generic terms like "領収書" (Receipt) with the vendor name.
+        - **Time**: The purchase time as HH:mm, usually next to the date.
+        - **Payment Method**: How it was paid, e.g. "現金" (Cash), "クレジット" with the card brand, "Suica", "PayPay". Keep it short.
+        - **Receipt Number**: The receipt/transaction number, labelled e.g. "No.", "レシートNo", "取引番号" or "伝票番号". Digits only where possible.
+        - **Kind**: "refund" for returns and refunds ("返品", "返金", "払戻", negative totals such as "-1,200"), "void" for cancelled receipts ("取消", "訂正", "VOID"), otherwise "purchase". Report the total as a positive number.
+        - **Original Receipt Number**: Refund receipts often print the number of the purchase being refunded ("元レシートNo", "元取引番号"). Leave it empty otherwise.
+        - **Tax**: Japanese receipts list the taxable subtotal per consumption-tax rate ("8%対象", "10%対象", "軽減税率対象") and the tax for each ("内消費税", "消費税等"). Use 0 for a rate that does not appear.
+        - **Registration Number**: The 適格請求書発行事業者登録番号 ("登録番号") is "T" followed by 13 digits. Leave it empty if the receipt has none.
+        - **Category**: Suggest possible YNAB categories.
+        
+        ${categories.length > 0
+                ? `Use one of the following categories if applicable: ${categories.map(c => c.name).join(', ')}. IF NONE FIT, leave it empty.`
+                : `Suggest generic categories like "Dining Out", "Groceries", "Transportation", "Entertainment", "Shopping".`}
+        `;
+}
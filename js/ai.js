@@ -1,187 +1,133 @@
 import { DOM } from './dom.js';
-import { showToast, updateProgressCounter } from './ui.js';
-import { updateReceiptCard } from './card.js'; // Circular dep, will create card.js next
-import { getYNABCategories } from './config.js';
+import { showToast } from './ui.js';
+import { updateReceiptCard, showExtractionPending, showExtractionFailed } from './card.js'; // Circular dep, will create card.js next
+import { CONFIG, isLineItemModeEnabled, getAIProvider, getOpenAISettings } from './config.js';
+import { builtinProvider } from './ai-builtin.js';
+import { openAIProvider } from './ai-openai.js';
+import { ocrProvider, recognizeImages } from './ai-ocr.js';
 
-let baseSession = null;
-let warmUpSession = null;
+/**
+ * Extraction providers all take the same Prompt API style messages and JSON schema:
+ * - checkAvailability(): resolves { status: 'ready' | 'downloading' }, rejects when unusable
+ * - prompt(messages, { schema, signal }): resolves the JSON text of the answer
+ * - warmUp(), reset() (settings or categories changed), destroy() (page unload)
+ * When the selected provider turns out to be unavailable, extraction falls back to offline OCR.
+ */
+export const AI_PROVIDERS = [builtinProvider, openAIProvider, ocrProvider];
+let fallbackToOCR = false;
+// Resolves whether OCR can run here (the bundled language data is served); checked once per availability check
+let ocrUsable = null;
+
+// card -> AbortController of its in-flight extraction
+const inFlight = new WeakMap();
+// card -> arguments of its last extraction, for retrying from the card
+const lastInputs = new WeakMap();
+
+function getSelectedProvider() {
+    return AI_PROVIDERS.find(p => p.id === getAIProvider()) || builtinProvider;
+}
+
+function getProvider() {
+    return fallbackToOCR ? ocrProvider : getSelectedProvider();
+}
+
+function isOCRUsable() {
+    if (!ocrUsable) ocrUsable = ocrProvider.checkAvailability().then(() => true, () => false);
+    return ocrUsable;
+}
+
+/**
+ * OCR text of the card's images, read once and kept on the card (card.dataset.ocrText, saved with
+ * the review session) as grounding for the language models. '' when OCR is unavailable or fails.
+ */
+async function getOCRGrounding(card, images, signal) {
+    if (card.dataset.ocrText !== undefined) return card.dataset.ocrText;
+    if (!await isOCRUsable()) return '';
+    try {
+        card.dataset.ocrText = (await recognizeImages(images, signal)).join('\n').trim();
+    } catch (err) {
+        if (signal.aborted) throw err;
+        console.warn('OCR for grounding failed:', err);
+        return '';
+    }
+    return card.dataset.ocrText;
+}
+
+function getProviderLabel(provider) {
+    return provider === openAIProvider ? `${provider.label} (${getOpenAISettings().model || 'no model'})` : provider.label;
+}
 
 export async function checkAIAvailability() {
     const dot = DOM.aiStatus.querySelector('.dot');
     const text = DOM.aiStatus.querySelector('.status-text');
+    const provider = getSelectedProvider();
+    const label = getProviderLabel(provider);
+    fallbackToOCR = false;
+    ocrUsable = null;
 
     dot.className = 'dot loading';
-    text.textContent = 'Checking AI availability...';
+    text.textContent = `Checking ${label}...`;
 
     try {
-        if (typeof LanguageModel === 'undefined') {
-            throw new Error('LanguageModel API not found. Please use a browser that supports it.');
-        }
-
-        const availability = await LanguageModel.availability({
-            expectedInputs: [
-                { type: "text", languages: ["en", "ja"] },
-                { type: "image" }
-            ],
-            expectedOutputs: [
-                { type: "text", languages: ["ja"] }
-            ]
-        });
-
-        if (availability === 'available') {
+        const { status } = await provider.checkAvailability();
+        if (status === 'ready') {
             dot.className = 'dot ok';
-            text.textContent = 'AI Model Ready';
-            showToast('Built-in AI is ready!', 'success');
-            warmUpAI(); // Trigger warm-up in background
-        } else if (availability === 'downloadable') {
+            text.textContent = `${label} ready`;
+            showToast(`${label} is ready!`, 'success');
+            provider.warmUp(); // Trigger warm-up in background
+        } else {
             dot.className = 'dot loading';
-            text.textContent = 'AI Model downloading...';
+            text.textContent = `${label}: model downloading...`;
             showToast('AI Model needs to be downloaded. Please wait.', 'info');
-        } else {
-            throw new Error(`AI not available: ${availability}`);
         }
     } catch (err) {
+        console.error(err);
+        DOM.aiStatus.title = err.message;
+        if (provider !== ocrProvider && await ocrProvider.checkAvailability().catch(() => null)) {
+            fallbackToOCR = true;
+            dot.className = 'dot ok';
+            text.textContent = `${ocrProvider.label} (${label} unavailable)`;
+            showToast(`${err.message} Using offline OCR instead.`, 'warning');
+            return;
+        }
         dot.className = 'dot error';
-        text.textContent = 'AI Error';
+        text.textContent = `${label}: error`;
         showToast(err.message, 'error');
-        console.error(err);
+        return;
     }
+    DOM.aiStatus.title = '';
 }
 
-export async function warmUpAI() {
-    if (baseSession || warmUpSession) return;
-
-    performance.mark('start-ai-warm-up');
-    try {
-        const params = await LanguageModel.params();
-        const dummySession = await LanguageModel.create({
-            temperature: 0.0,
-            topK: 1,
-            expectedInputs: [
-                { type: "text", languages: ["en", "ja"] },
-                { type: "image" }
-            ],
-            initialPrompts: [
-                {
-                    role: 'system', content: `Respond with '.' only.`
-                }
-            ],
-            expectedOutputs: [
-                { type: "text", languages: ["ja"] }
-            ]
-        });
-
-        // Dummy prompt to trigger model loading/warming
-        await dummySession.prompt([{ role: 'user', content: [{ type: 'text', value: '.' }] }]);
-
-        warmUpSession = dummySession;
-
-        performance.mark('end-ai-warm-up');
-        performance.measure('AI Warm-up duration', 'start-ai-warm-up', 'end-ai-warm-up');
-
-        // Access the result programmatically
-        const measure = performance.getEntriesByName('AI Warm-up duration')[0];
-        console.log('AI Warm-up successful; duration:', measure.duration);
-    } catch (err) {
-        console.warn('AI Warm-up failed:', err);
-    }
+// Switching providers or their settings: drop the old sessions and check the new one
+export async function switchAIProvider() {
+    AI_PROVIDERS.forEach(provider => provider.reset());
+    await checkAIAvailability();
 }
 
 export function resetAISession() {
-    if (baseSession) {
-        baseSession.destroy();
-        baseSession = null;
-    }
-    if (warmUpSession) {
-        warmUpSession.destroy();
-        warmUpSession = null;
-    }
-    console.log('AI Session reset (will re-initialize with fresh settings on next use)');
+    AI_PROVIDERS.forEach(provider => provider.reset());
 }
 
 export function destroyAISession() {
-    if (baseSession) {
-        baseSession.destroy();
-        baseSession = null;
-        console.log('Global AI Session destroyed');
-    }
-    if (warmUpSession) {
-        warmUpSession.destroy();
-        warmUpSession = null;
-        console.log('Warm-up AI Session destroyed');
-    }
+    AI_PROVIDERS.forEach(provider => provider.destroy());
 }
 
-export async function setupAI() {
-    if (baseSession) return;
-
-    const categoryData = getYNABCategories();
-    const categories = (categoryData && categoryData.categories) ? categoryData.categories : [];
-
-    performance.mark('start-ai-setup');
-
-    try {
-        const params = await LanguageModel.params();
-        baseSession = await LanguageModel.create({
-            temperature: 0.0,
-            topK: params.defaultTopK,
-            expectedInputs: [
-                { type: "text", languages: ["en", "ja"] },
-                { type: "image" }
-            ],
-            initialPrompts: [
-                {
-                    role: 'system', content: `You are a Japanese receipt parser. Extract Merchant name, Date (YYYY-MM-DD), Total Amount as a whole integer, and Category.
-                    
-                    Provide up to 3 candidates for each field, ordered by likelihood (most likely first).
-                    If a field is very certain, you can provide fewer candidates.
-                    Omit any explanations.
-
-                    Hints for extractions:
-                    - **Total Amount**: Usually preceded by the symbol "¥", and typically presented in a larger or bold font and after the "合計" label (do not confuse with "小計"). Japanese Yen does not use cents/decimals.
-                    - **Date**: Look for "YYYY/MM/DD", "YYYY-MM-DD", or "YYYY年MM月DD日". It's often at the top and may be followed by a time (HH:mm).
-                    - **Merchant**: Usually at the very top. It's often followed by an address or phone number. Do not confuse generic terms like "領収書" (Receipt) with the vendor name.
-                    - **Category**: Suggest possible YNAB categories.
-                    
-                    ${categories.length > 0
-                            ? `Use one of the following categories if applicable: ${categories.map(c => c.name).join(', ')}. IF NONE FIT, leave it empty.`
-                            : `Suggest generic categories like "Dining Out", "Groceries", "Transportation", "Entertainment", "Shopping".`}
-                    ` }
-            ],
-            expectedOutputs: [
-                { type: "text", languages: ["ja"] }
-            ]
-        });
-
-        performance.mark('end-ai-setup');
-        const measure = performance.measure('AI Setup duration', 'start-ai-setup', 'end-ai-setup');
-        console.log('AI Setup successful; duration:', measure.duration);
-
-        // Cleanup warm-up session now that we have a base session
-        if (warmUpSession) {
-            warmUpSession.destroy();
-            warmUpSession = null;
-            console.log('Warm-up session cleaned up after successful setup');
-        }
-    } catch (err) {
-        console.warn('AI Setup failed:', err);
+/**
+ * Extracts the receipt on `card` and fills it in. On failure (or when cancelled through
+ * `signal` or cancelExtraction) the card shows why, and the error is rethrown for the queue.
+ */
+export async function runAIExtraction(imageInput, card, fileName, text = '', signal = null) {
+    const controller = new AbortController();
+    if (signal) {
+        if (signal.aborted) controller.abort(signal.reason);
+        else signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
     }
-}
-
-async function getAISession() {
-    if (!baseSession) {
-        await setupAI();
-    }
-    if (!baseSession) throw new Error("Could not initialize AI session");
+    inFlight.set(card, controller);
+    lastInputs.set(card, { imageInput, fileName, text });
+    showExtractionPending(card);
 
-    // Clone the base session so each extraction starts from the clean system prompt
-    return await baseSession.clone();
-}
-
-export async function runAIExtraction(imageInput, card, fileName) {
-    let session = null;
     try {
-        session = await getAISession();
+        const provider = getProvider();
         const images = Array.isArray(imageInput) ? imageInput : [imageInput];
 
         if (images.length > 1) {
@@ -193,15 +139,74 @@ export async function runAIExtraction(imageInput, card, fileName) {
             properties: {
                 merchants: { type: "array", items: { type: "string" }, description: "Up to 5 merchant candidates, most likely first" },
                 dates: { type: "array", items: { type: "string" }, description: "Up to 5 date candidates (YYYY-MM-DD), most likely first" },
-                amounts: { type: "array", items: { type: "integer" }, description: "Up to 5 amount candidates (whole numbers), most likely first" },
+                amounts: { type: "array", items: { type: "number" }, description: "Up to 5 amount candidates, most likely first" },
+                currency: { type: "string", description: "ISO 4217 currency code of the receipt, e.g. JPY" },
+                tax: {
+                    type: "object",
+                    properties: {
+                        taxable8: { type: "number", description: "Subtotal subject to the 8% reduced rate (8%対象)" },
+                        tax8: { type: "number", description: "Consumption tax at 8%" },
+                        taxable10: { type: "number", description: "Subtotal subject to the 10% standard rate (10%対象)" },
+                        tax10: { type: "number", description: "Consumption tax at 10%" }
+                    },
+                    description: "Japanese consumption tax breakdown"
+                },
+                registrationNumber: { type: "string", description: "適格請求書発行事業者登録番号: 'T' followed by 13 digits, empty if absent" },
+                time: { type: "string", description: "Purchase time as HH:mm, empty if absent" },
+                paymentMethod: { type: "string", description: "Payment method, e.g. Cash, Visa, Suica; empty if absent" },
+                receiptNo: { type: "string", description: "Receipt or transaction number, empty if absent" },
+                kind: { type: "string", enum: ["purchase", "refund", "void"], description: "purchase, refund (返品/返金) or void (取消)" },
+                originalReceiptNo: { type: "string", description: "For refunds: the receipt number of the original purchase, empty if absent" },
                 categories: { type: "array", items: { type: "string" }, description: "Up to 5 suggested YNAB categories, most likely first" }
             },
             required: ["merchants", "dates", "amounts", "categories"]
         };
 
+        const withItems = isLineItemModeEnabled();
+        if (withItems) {
+            schema.properties.items = {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        name: { type: "string" },
+                        price: { type: "number", description: "Final line price after any line discount; negative for discount lines" },
+                        category: { type: "string", description: "Best YNAB category for this item" }
+                    },
+                    required: ["name", "price"]
+                },
+                description: "Every purchased line item in receipt order"
+            };
+            schema.required.push("items");
+        }
+
+        // Each part read on its own lets the confidence check see whether the parts agree
+        if (images.length > 1) {
+            schema.properties.parts = {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        amounts: { type: "array", items: { type: "number" }, description: "Totals printed in this image" },
+                        dates: { type: "array", items: { type: "string" }, description: "Dates printed in this image (YYYY-MM-DD)" }
+                    },
+                    required: ["amounts", "dates"]
+                },
+                description: `One entry per image, in order: the ${images.length} images are overlapping parts of one tall receipt`
+            };
+            schema.required.push("parts");
+        }
+
         performance.mark(`start-ai-extraction-${fileName}`);
         const promptContent = [
-            { role: 'user', content: [{ type: 'text', value: "Extract JSON from this receipt:" }] }
+            {
+                role: 'user', content: [{
+                    type: 'text',
+                    value: withItems
+                        ? "Extract JSON from this receipt, including every line item with its price:"
+                        : "Extract JSON from this receipt:"
+                }]
+            }
         ];
 
         // Add images to the prompt
@@ -209,20 +214,55 @@ export async function runAIExtraction(imageInput, card, fileName) {
             promptContent[0].content.push({ type: 'image', value: blob });
         });
 
-        const resultText = await session.prompt(promptContent, { responseConstraint: schema });
+        // Text read from the receipt grounds the model where the images are hard to read:
+        // a PDF's own text layer is exact, so OCR only runs for images without one
+        const ocrText = provider !== ocrProvider && !text ? await getOCRGrounding(card, images, controller.signal) : '';
+        const grounding = [text, ocrText].filter(Boolean).join('\n\n');
+        if (grounding && provider !== ocrProvider) {
+            promptContent[0].content.push({
+                type: 'text',
+                value: `Text read from the same receipt (PDF text layer or OCR):\n${grounding.slice(0, CONFIG.groundingTextMaxLength)}`
+            });
+        }
+
+        // OCR gets only the PDF text layer, so a retry after cropping reads the image again
+        const resultText = await provider.prompt(promptContent, { schema, signal: controller.signal, grounding: text });
 
         performance.mark(`end-ai-extraction-${fileName}`);
         const measure = performance.measure('AI Extraction duration', `start-ai-extraction-${fileName}`, `end-ai-extraction-${fileName}`);
         console.log('AI Extraction successful; duration:', measure.duration);
 
         const data = JSON.parse(resultText);
+        if (data.ocrText) {
+            card.dataset.ocrText = data.ocrText;
+            delete data.ocrText;
+        }
         updateReceiptCard(card, data);
     } catch (err) {
-        console.error('AI Processing error:', err);
-        showToast(`AI failed for ${fileName}`, 'error');
-    } finally {
-        if (session) {
-            session.destroy();
+        if (controller.signal.aborted) {
+            showExtractionFailed(card, 'Analysis cancelled');
+        } else {
+            console.error('AI Processing error:', err);
+            showToast(`AI failed for ${fileName}`, 'error');
+            showExtractionFailed(card, err.message || String(err));
         }
+        throw err;
+    } finally {
+        if (inFlight.get(card) === controller) inFlight.delete(card);
     }
 }
+
+// Aborts the card's running prompt; false when nothing is in flight for it
+export function cancelExtraction(card) {
+    const controller = inFlight.get(card);
+    if (!controller) return false;
+    controller.abort();
+    return true;
+}
+
+// Runs the card's last extraction again with the same images and text
+export function retryExtraction(card, signal = null) {
+    const inputs = lastInputs.get(card);
+    if (!inputs) return Promise.reject(new Error('Nothing to retry for this receipt'));
+    return runAIExtraction(inputs.imageInput, card, inputs.fileName, inputs.text, signal);
+}
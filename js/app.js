@@ -1,19 +1,63 @@
 import { DOM } from './dom.js';
-import { CONFIG, getProcessedFiles, markAsProcessed } from './config.js';
-import { fetchYNABBudgets, fetchYNABAccounts, fetchYNABCategories, pushAllToYNAB } from './ynab.js';
-import { checkAIAvailability, resetAISession, destroyAISession } from './ai.js';
+import { CONFIG, getAIProvider, setAIProvider, getOpenAISettings, setOpenAISettings, getQueueConcurrency, setQueueConcurrency, isLegacyProcessed, forgetLegacyProcessed, isLineItemModeEnabled, setLineItemMode, isWatchFolderEnabled, setWatchFolder, isArchiveEnabled, setArchiveEnabled, getArchiveNamePattern, setArchiveNamePattern, getMemoTemplate, setMemoTemplate } from './config.js';
+import { fetchYNABBudgets, fetchYNABAccounts, fetchYNABCategories, fetchYNABPayees, pushAllToYNAB } from './ynab.js';
+import { checkAIAvailability, switchAIProvider, resetAISession, destroyAISession } from './ai.js';
+import { setBaseURL } from './ynab-client.js';
+import { openAliasManager, closeAliasManager, handleAddAlias } from './payee-aliases.js';
+import { openRatesManager, closeRatesManager, handleAddRate } from './exchange-rates.js';
+import { openAccountDefaultsManager, closeAccountDefaultsManager } from './account-defaults.js';
+import { openRulesManager, closeRulesManager, handleAddRule, handleExportRules, handleImportRules } from './rules-manager.js';
 import { optimizeImageForAI, createVerticalChunks } from './image.js';
-import { createReceiptCard } from './card.js';
-import { runAIExtraction } from './ai.js';
-import { updateProgressCounter, showToast } from './ui.js';
-import { setupCroppingUI, renderRedactions, updateModalToolbar, setupRedactionCanvas, clearRedactionCanvas, getActiveRedactionCard, deleteSelectedRedaction, clearAllRedactions } from './modal.js';
-
-let directoryHandle = null;
+import { isPdf, renderPdf } from './pdf.js';
+import { setupIntake, takeSharedFiles, isReceiptFile } from './intake.js';
+import { setupQueueControls, enqueueJob, isJobQueued, resumeQueue } from './queue.js';
+import { hashFile } from './hash.js';
+import { loadLedger, isInLedger, recordLedgerEntry } from './ledger.js';
+import { getSessionEntries, putSessionEntry, deleteSessionEntry, clearSession, saveReceiptFolder, getReceiptFolder, hasReadPermission, hasWritePermission } from './session.js';
+import { registerReceiptFile, ARCHIVE_FOLDERS } from './archive.js';
+import { openFolderDefaultsManager, closeFolderDefaultsManager, handleAddFolderDefault } from './folder-defaults.js';
+import { openHistory, closeHistory } from './history.js';
+import { openRequestLog, closeRequestLog, handleClearRequestLog } from './request-log.js';
+import { createReceiptCard, setCardPages, refreshMemoPreview, applyAccountDefaults, applyFolderDefaults, refreshCardAccounts, restoreCardState, saveCardSession } from './card.js';
+import { runAIExtraction, retryExtraction } from './ai.js';
+import { updateProgressCounter, showToast, hidePushSummary } from './ui.js';
+import { setupCroppingUI, renderRedactions, updateModalToolbar, setupRedactionCanvas, clearRedactionCanvas, getActiveRedactionCard, deleteSelectedRedaction, clearAllRedactions, showModalPage } from './modal.js';
+
+let directoryHandle = null; // Connected folder with read permission
+let savedFolder = null; // Folder remembered from an earlier visit, possibly awaiting permission
+let stopWatching = null;
+let scanning = false;
+let rescanRequested = false;
+let settleTimer = null;
+let lastMetadataRefresh = 0;
+// "name:size:lastModified" -> content hash, so rescans don't re-read unchanged files
+const hashCache = new Map();
+// Saved review-session entries waiting for the user to grant file access again
+let pendingSession = [];
+// PDF card -> { chunks, text }: later pages and the text layer, sent again on Retry AI
+const pdfInputs = new WeakMap();
+// Hashes of files that could not be opened, so watch mode doesn't report them on every scan
+const unreadableFiles = new Set();
+// Receipts the user took out of the queue before they were analyzed; watch-mode scans leave them alone
+const cancelledFiles = new Set();
 
 // --- Initialization ---
 async function init() {
     // Load saved settings
     DOM.apiPAT.value = localStorage.getItem(CONFIG.ynabKeyPath) || '';
+    DOM.apiBaseUrl.value = localStorage.getItem(CONFIG.ynabBaseUrlPath) || '';
+    DOM.lineItemMode.checked = isLineItemModeEnabled();
+    DOM.memoTemplate.value = getMemoTemplate();
+    DOM.watchFolder.checked = isWatchFolderEnabled();
+    DOM.archiveFiles.checked = isArchiveEnabled();
+    DOM.archiveNamePattern.value = getArchiveNamePattern();
+    DOM.queueConcurrency.value = getQueueConcurrency();
+    DOM.aiProvider.value = getAIProvider();
+    DOM.openAISettings.hidden = getAIProvider() !== 'openai';
+    const openAI = getOpenAISettings();
+    DOM.openAIBaseUrl.value = openAI.baseUrl;
+    DOM.openAIModel.value = openAI.model;
+    DOM.openAIKey.value = openAI.apiKey;
     // Budget and Account IDs will be selected in the fetch cascading logic
 
     // Save settings on change
@@ -24,18 +68,66 @@ async function init() {
         }
     });
 
+    DOM.apiBaseUrl.addEventListener('change', async (e) => {
+        setBaseURL(e.target.value);
+        if (DOM.apiPAT.value) {
+            await fetchYNABBudgets();
+        }
+    });
+
+    DOM.lineItemMode.addEventListener('change', (e) => {
+        setLineItemMode(e.target.checked);
+    });
+
+    DOM.archiveFiles.addEventListener('change', async (e) => {
+        setArchiveEnabled(e.target.checked);
+        // Ask now, while there is a click to attach the permission prompt to
+        if (e.target.checked && directoryHandle && !await hasWritePermission(directoryHandle, true).catch(() => false)) {
+            showToast('Write access is needed to move receipts; you will be asked again on the next push', 'warning');
+        }
+    });
+
+    DOM.archiveNamePattern.addEventListener('change', (e) => {
+        setArchiveNamePattern(e.target.value.trim());
+    });
+
+    DOM.aiProvider.addEventListener('change', (e) => {
+        setAIProvider(e.target.value);
+        DOM.openAISettings.hidden = e.target.value !== 'openai';
+        switchAIProvider();
+    });
+
+    [[DOM.openAIBaseUrl, 'baseUrl'], [DOM.openAIModel, 'model'], [DOM.openAIKey, 'apiKey']].forEach(([input, setting]) => {
+        input.addEventListener('change', () => {
+            setOpenAISettings({ [setting]: input.value.trim() });
+            if (getAIProvider() === 'openai') switchAIProvider();
+        });
+    });
+
+    DOM.queueConcurrency.addEventListener('change', (e) => {
+        setQueueConcurrency(parseInt(e.target.value, 10) || CONFIG.defaultQueueConcurrency);
+        DOM.queueConcurrency.value = getQueueConcurrency();
+        resumeQueue(); // A higher limit takes effect right away
+    });
+
+    DOM.memoTemplate.addEventListener('input', (e) => {
+        setMemoTemplate(e.target.value);
+        document.querySelectorAll('.receipt-card').forEach(refreshMemoPreview);
+    });
+
     DOM.budgetId.addEventListener('change', async (e) => {
         const id = e.target.value;
         localStorage.setItem(CONFIG.ynabBudgetIdPath, id);
         if (id) {
-            await fetchYNABAccounts(id);
-            await fetchYNABCategories(true); // Force refresh for new budget
+            await refreshBudgetMetadata();
             resetAISession();
         }
     });
 
     DOM.accountId.addEventListener('change', (e) => {
         localStorage.setItem(CONFIG.ynabAccountIdPath, e.target.value);
+        // Cards without their own account follow the new default account's defaults
+        document.querySelectorAll('.receipt-card').forEach(applyAccountDefaults);
     });
 
     await checkAIAvailability();
@@ -45,13 +137,26 @@ async function init() {
         const budgets = await fetchYNABBudgets();
         const savedBudgetId = localStorage.getItem(CONFIG.ynabBudgetIdPath);
         if (savedBudgetId && budgets.some(b => b.id === savedBudgetId)) {
-            await fetchYNABAccounts(savedBudgetId);
-            await fetchYNABCategories();
+            await refreshBudgetMetadata();
         }
     }
 
+    // Pick up category/payee/account changes made in YNAB while the tab was in the background
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'visible') return;
+        if (Date.now() - lastMetadataRefresh < CONFIG.metadataRefreshIntervalMs) return;
+        refreshBudgetMetadata();
+    });
+
     DOM.btnSync.addEventListener('click', handleFolderSync);
+    DOM.btnChangeFolder.addEventListener('click', handleChangeFolder);
+    DOM.watchFolder.addEventListener('change', (e) => {
+        setWatchFolder(e.target.checked);
+        startWatching();
+    });
     DOM.btnPushAll.addEventListener('click', pushAllToYNAB);
+    DOM.btnRestoreSession.addEventListener('click', handleRestoreSession);
+    DOM.btnDiscardSession.addEventListener('click', handleDiscardSession);
 
     const btnRefresh = document.getElementById('btn-refresh-categories');
     if (btnRefresh) {
@@ -71,22 +176,105 @@ async function init() {
     });
 
     setupModalListeners();
+    setupIntake(handleIntakeFiles);
+    setupQueueControls();
+    registerServiceWorker();
+
+    // Reconnect first so restored cards can still be archived, and scan last so
+    // receipts from the saved session are restored rather than extracted again
+    await restoreReceiptFolder();
+    await checkSavedSession();
+    if (directoryHandle) await scanFolder({ quiet: true });
+
+    const shared = await takeSharedFiles().catch(err => {
+        showToast('Could not read the shared files: ' + err.message, 'error');
+        return [];
+    });
+    if (shared.length > 0) await handleIntakeFiles(shared, 'share');
+}
+
+// Needed for the share target; the app itself works without it
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed:', err));
+}
+
+// Delta-syncs accounts, categories and payees for the selected budget
+async function refreshBudgetMetadata() {
+    const budgetId = DOM.budgetId.value;
+    if (!DOM.apiPAT.value || !budgetId) return;
+
+    lastMetadataRefresh = Date.now();
+    await fetchYNABAccounts(budgetId);
+    // Cards created before the accounts were known (restored, scanned at start) or for another budget
+    document.querySelectorAll('.receipt-card').forEach(refreshCardAccounts);
+    await fetchYNABCategories();
+    await fetchYNABPayees(budgetId);
 }
 
 function setupModalListeners() {
     // Close modal
     DOM.btnDismissModal.addEventListener('click', () => {
+        saveActiveCardSession();
         document.getElementById('full-view-modal').style.display = 'none';
         document.body.classList.remove('modal-open');
     });
 
+    DOM.btnDismissSummary.addEventListener('click', hidePushSummary);
+    DOM.btnManageAliases.addEventListener('click', openAliasManager);
+    DOM.btnDismissAliases.addEventListener('click', closeAliasManager);
+    DOM.aliasForm.addEventListener('submit', handleAddAlias);
+    DOM.btnManageRules.addEventListener('click', openRulesManager);
+    DOM.btnDismissRules.addEventListener('click', closeRulesManager);
+    DOM.btnAddRule.addEventListener('click', handleAddRule);
+    DOM.btnExportRules.addEventListener('click', handleExportRules);
+    DOM.rulesImportInput.addEventListener('change', handleImportRules);
+    DOM.btnManageRates.addEventListener('click', openRatesManager);
+    DOM.btnDismissRates.addEventListener('click', closeRatesManager);
+    DOM.rateForm.addEventListener('submit', handleAddRate);
+    DOM.btnManageAccountDefaults.addEventListener('click', openAccountDefaultsManager);
+    DOM.btnManageFolderDefaults.addEventListener('click', openFolderDefaultsManager);
+    DOM.btnDismissFolderDefaults.addEventListener('click', closeFolderDefaultsManager);
+    DOM.folderDefaultForm.addEventListener('submit', handleAddFolderDefault);
+    DOM.btnHistory.addEventListener('click', openHistory);
+    DOM.btnDismissHistory.addEventListener('click', closeHistory);
+    DOM.btnRequestLog.addEventListener('click', openRequestLog);
+    DOM.btnDismissRequestLog.addEventListener('click', closeRequestLog);
+    DOM.btnClearRequestLog.addEventListener('click', handleClearRequestLog);
+    DOM.btnDismissAccountDefaults.addEventListener('click', closeAccountDefaultsManager);
+
     // Close on outside click
     window.addEventListener('click', (e) => {
         const modal = document.getElementById('full-view-modal');
         if (e.target === modal) {
+            saveActiveCardSession();
             modal.style.display = 'none';
             document.body.classList.remove('modal-open');
         }
+        if (e.target === DOM.pushSummaryModal) {
+            hidePushSummary();
+        }
+        if (e.target === DOM.aliasModal) {
+            closeAliasManager();
+        }
+        if (e.target === DOM.rulesModal) {
+            closeRulesManager();
+        }
+        if (e.target === DOM.ratesModal) {
+            closeRatesManager();
+        }
+        if (e.target === DOM.accountDefaultsModal) {
+            closeAccountDefaultsManager();
+        }
+        if (e.target === DOM.folderDefaultsModal) {
+            closeFolderDefaultsManager();
+        }
+        if (e.target === DOM.historyModal) {
+            closeHistory();
+        }
+        if (e.target === DOM.requestLogModal) {
+            closeRequestLog();
+        }
     });
 
     // Mode switching
@@ -109,6 +297,10 @@ function setupModalListeners() {
     document.getElementById('btn-clear-redaction').addEventListener('click', clearAllRedactions);
 
     DOM.btnRetryAI.addEventListener('click', handleRetryAI);
+
+    // PDF pages
+    DOM.btnPrevPage.addEventListener('click', () => showModalPage(-1));
+    DOM.btnNextPage.addEventListener('click', () => showModalPage(1));
 }
 
 async function handleRetryAI() {
@@ -153,11 +345,12 @@ async function handleRetryAI() {
         document.body.classList.remove('modal-open');
         showToast('Retrying analysis in background...', 'info');
 
-        // 6. Re-run Extraction (Async)
-        runAIExtraction(chunks, card, fileName).catch(err => {
-            console.error('Background retry failed:', err);
-            showToast('Background analysis failed', 'error');
-        });
+        // 6. Re-run Extraction (Async); OCR of the old image may include what was just redacted
+        delete card.dataset.ocrText;
+        const pdf = pdfInputs.get(card);
+        const images = pdf ? [...chunks, ...pdf.chunks] : chunks;
+        // Failures show on the card itself
+        runAIExtraction(images, card, fileName, pdf?.text).catch(err => console.warn('Background retry failed:', err));
 
     } catch (err) {
         console.error('Retry failed:', err);
@@ -223,7 +416,29 @@ async function applyAdjustments(file, bounds, redactions) {
 // --- File System Logic ---
 async function handleFolderSync() {
     try {
-        directoryHandle = await window.showDirectoryPicker();
+        if (!directoryHandle) {
+            if (!savedFolder && !window.showDirectoryPicker) {
+                showToast('This browser cannot open folders. Drop, paste or add receipt files instead.', 'info');
+                return;
+            }
+            // A remembered folder only needs its permission renewed, not a new pick
+            const handle = savedFolder && await hasReadPermission(savedFolder, true)
+                ? savedFolder
+                : await window.showDirectoryPicker();
+            connectFolder(handle);
+            showToast('Folder connected!', 'success');
+        }
+        await scanFolder();
+    } catch (err) {
+        if (err.name !== 'AbortError') {
+            showToast('Folder access failed: ' + err.message, 'error');
+        }
+    }
+}
+
+async function handleChangeFolder() {
+    try {
+        connectFolder(await window.showDirectoryPicker());
         showToast('Folder connected!', 'success');
         await scanFolder();
     } catch (err) {
@@ -233,57 +448,447 @@ async function handleFolderSync() {
     }
 }
 
-async function scanFolder() {
+// Reconnects silently when the browser kept the permission, otherwise waits for one click
+async function restoreReceiptFolder() {
+    try {
+        savedFolder = await getReceiptFolder();
+        if (savedFolder && !directoryHandle && await hasReadPermission(savedFolder)) {
+            connectFolder(savedFolder);
+        }
+    } catch (err) {
+        console.warn('Could not reopen the receipt folder:', err);
+    }
+    updateFolderButton();
+}
+
+function connectFolder(handle) {
+    if (handle !== savedFolder) {
+        saveReceiptFolder(handle).catch(err => console.warn('Could not remember the receipt folder:', err));
+    }
+    directoryHandle = handle;
+    savedFolder = handle;
+    updateFolderButton();
+    startWatching();
+}
+
+function updateFolderButton() {
+    const label = DOM.btnSync.querySelector('.btn-label');
+    if (directoryHandle) {
+        label.textContent = `Rescan "${directoryHandle.name}"`;
+    } else if (savedFolder) {
+        label.textContent = `Reconnect "${savedFolder.name}"`;
+    } else {
+        label.textContent = 'Connect Receipt Folder';
+    }
+    DOM.btnChangeFolder.style.display = savedFolder ? '' : 'none';
+}
+
+// Watch mode: FileSystemObserver where the browser has it, polling otherwise
+async function startWatching() {
+    if (stopWatching) {
+        stopWatching();
+        stopWatching = null;
+    }
+    if (!directoryHandle || !DOM.watchFolder.checked) return;
+
+    if ('FileSystemObserver' in window) {
+        try {
+            let debounce = null;
+            const observer = new FileSystemObserver(records => {
+                if (!records.some(record => record.type !== 'disappeared')) return;
+                // A sync drops many files at once; scan once it has calmed down
+                clearTimeout(debounce);
+                debounce = setTimeout(() => scanFolder({ quiet: true }), 1000);
+            });
+            await observer.observe(directoryHandle, { recursive: true });
+            stopWatching = () => {
+                clearTimeout(debounce);
+                observer.disconnect();
+            };
+            return;
+        } catch (err) {
+            console.warn('FileSystemObserver unavailable, falling back to polling:', err);
+        }
+    }
+
+    const timer = setInterval(() => scanFolder({ quiet: true }), CONFIG.folderWatchIntervalMs);
+    stopWatching = () => clearInterval(timer);
+}
+
+// quiet: watch-mode scans only speak up when they find something
+async function scanFolder({ quiet = false } = {}) {
     if (!directoryHandle) return;
+    // A scan the user asked for brings cancelled receipts back
+    if (!quiet) cancelledFiles.clear();
+    if (scanning) {
+        rescanRequested = true;
+        return;
+    }
+    scanning = true;
+    try {
+        await scanFolderOnce(quiet);
+    } catch (err) {
+        console.error('Folder scan failed:', err);
+        if (!quiet) showToast('Folder scan failed: ' + err.message, 'error');
+    } finally {
+        scanning = false;
+    }
+
+    if (rescanRequested) {
+        rescanRequested = false;
+        scanFolder({ quiet: true });
+    }
+}
+
+async function scanFolderOnce(quiet) {
+    try {
+        await loadLedger();
+    } catch (err) {
+        showToast('Could not open the receipt history: ' + err.message, 'error');
+        return;
+    }
 
-    const processedFiles = getProcessedFiles();
     let totalPending = 0;
+    let settling = false;
+    const subfolders = new Set();
+
+    for await (const { entry, parentHandle, folder } of walkFolder(directoryHandle)) {
+        if (folder) subfolders.add(folder);
+        if (!isReceiptFile(entry.name)) continue;
+
+        const file = await entry.getFile();
+        if (Date.now() - file.lastModified < CONFIG.folderSettleMs) {
+            settling = true;
+            continue;
+        }
+        const fileHash = await getFileHash(file);
+        if (fileHash && (isInLedger(fileHash) || unreadableFiles.has(fileHash) || cancelledFiles.has(fileHash) || isJobQueued(fileHash) ||
+            DOM.receiptList.querySelector(`[data-file-hash="${fileHash}"]`))) continue;
+
+        if (isLegacyProcessed(entry.name)) {
+            // Processed before the ledger existed: carry it over under its content hash
+            if (fileHash) {
+                await recordLedgerEntry({ fileHash, fileName: entry.name, folder, status: 'processed', transactionId: null });
+                forgetLegacyProcessed(entry.name);
+            }
+            continue;
+        }
+
+        totalPending++;
+        registerReceiptFile(fileHash, entry, parentHandle, directoryHandle);
+        queueReceipt(file, fileHash, folder, entry);
+    }
+    fillFolderList(subfolders);
+    const currentCount = parseInt(DOM.processedCount.textContent) || 0;
+    DOM.processedCount.textContent = currentCount + totalPending;
+
+    if (settling) {
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(() => scanFolder({ quiet: true }), CONFIG.folderSettleMs);
+    }
+
+    if (totalPending > 0 && quiet) {
+        showToast(`Found ${totalPending} new receipts`, 'info');
+    } else if (totalPending === 0 && !quiet) {
+        showToast(settling ? 'New receipts are still syncing, checking again shortly...' : 'No new receipts found.', 'info');
+    }
+}
+
+/**
+ * Yields every file below the receipt folder with its parent handle and relative folder path
+ * ('' for the top level). Hidden folders and the archive folders are skipped.
+ */
+async function* walkFolder(dirHandle, folder = '') {
+    for await (const entry of dirHandle.values()) {
+        if (entry.kind === 'directory') {
+            if (entry.name.startsWith('.') || (!folder && ARCHIVE_FOLDERS.includes(entry.name))) continue;
+            yield* walkFolder(entry, folder ? `${folder}/${entry.name}` : entry.name);
+        } else {
+            yield { entry, parentHandle: dirHandle, folder };
+        }
+    }
+}
+
+async function resolveFolder(root, folder) {
+    let dir = root;
+    for (const segment of folder.split('/').filter(Boolean)) {
+        dir = await dir.getDirectoryHandle(segment);
+    }
+    return dir;
+}
 
-    for await (const entry of directoryHandle.values()) {
-        if (entry.kind === 'file' && isImage(entry.name) && !processedFiles.has(entry.name)) {
-            totalPending++;
-            processReceipt(entry);
+// Suggestions for the folder mapping dialog
+function fillFolderList(subfolders) {
+    DOM.folderList.innerHTML = '';
+    [...subfolders].sort().forEach(folder => DOM.folderList.appendChild(new Option(folder)));
+}
+
+// Files dropped, picked, pasted or shared: not from the folder, so there is nothing to archive
+async function handleIntakeFiles(files, source) {
+    try {
+        await loadLedger();
+    } catch (err) {
+        showToast('Could not open the receipt history: ' + err.message, 'error');
+        return;
+    }
+
+    let added = 0;
+    let known = 0;
+    for (const file of files) {
+        const fileHash = await getFileHash(file);
+        if (fileHash && (isInLedger(fileHash) || isJobQueued(fileHash) || DOM.receiptList.querySelector(`[data-file-hash="${fileHash}"]`))) {
+            known++;
+            continue;
         }
+        added++;
+        queueReceipt(file, fileHash, '', null);
     }
-    DOM.processedCount.textContent = totalPending;
 
-    if (totalPending === 0) {
-        showToast('No new receipts found.', 'info');
+    const currentCount = parseInt(DOM.processedCount.textContent) || 0;
+    DOM.processedCount.textContent = currentCount + added;
+
+    if (known > 0) {
+        showToast(`${known} of these receipts ${known === 1 ? 'is' : 'are'} already on screen or in your history`, 'info');
+    } else if (source === 'share' && added > 0) {
+        showToast(`Added ${added} shared receipts`, 'info');
+    }
+}
+
+// Content hash gives each receipt a stable identity (ledger key and YNAB import_id)
+async function getFileHash(file) {
+    const key = `${file.name}:${file.size}:${file.lastModified}`;
+    if (!hashCache.has(key)) {
+        try {
+            hashCache.set(key, await hashFile(file));
+        } catch (err) {
+            console.warn('Could not hash receipt file:', err);
+            return null;
+        }
     }
+    return hashCache.get(key);
+}
+
+// The card appears when the receipt's turn in the processing queue comes
+function queueReceipt(file, fileHash, folder, fileHandle) {
+    const label = folder ? `${folder}/${file.name}` : file.name;
+    // The first run puts the card up; Retry in the queue panel re-extracts that card instead of adding another
+    let card = null;
+    enqueueJob(fileHash || label, label, async signal => {
+        if (card && card.isConnected) return retryExtraction(card, signal);
+        const added = await openReceipt(file, fileHash, folder, fileHandle);
+        card = added.card;
+        await runAIExtraction(added.chunks, card, file.name, added.text, signal);
+    }, {
+        onDrop: () => {
+            // A receipt that already has a card is counted until the card goes
+            if (fileHash && DOM.receiptList.querySelector(`[data-file-hash="${fileHash}"]`)) return;
+            if (fileHash) cancelledFiles.add(fileHash);
+            const currentCount = parseInt(DOM.processedCount.textContent) || 0;
+            DOM.processedCount.textContent = Math.max(0, currentCount - 1);
+        }
+    });
 }
 
-function isImage(filename) {
-    return /\.(jpe?g|png|webp)$/i.test(filename);
+// Adds the receipt's card and its session entry; resolves to { card, chunks, text } for the AI
+async function openReceipt(file, fileHash, folder, fileHandle) {
+    const added = await addReceiptCard(file, fileHash, folder);
+    if (!added) throw new Error(`Could not open ${file.name}`);
+
+    if (fileHash) {
+        // Without a handle to reopen it by, the file itself is kept
+        putSessionEntry({ fileHash, fileName: file.name, folder, fileHandle, file: fileHandle ? null : file, state: null })
+            .catch(err => console.warn('Could not save review session:', err));
+    }
+    return added;
 }
 
-async function processReceipt(fileHandle) {
-    const file = await fileHandle.getFile();
-    const fileName = fileHandle.name;
+/**
+ * Puts a receipt on screen. PDFs are rendered first: the first page stands in for the image
+ * (preview, crop, redactions) and the later pages and text layer go to the AI with it.
+ * Resolves to null when the file can't be opened.
+ */
+async function addReceiptCard(file, fileHash, folder) {
+    const fileName = file.name;
+
+    let image = file;
+    let pdf = null;
+    if (isPdf(fileName)) {
+        try {
+            pdf = await renderPdf(file);
+            if (pdf.pages.length === 0) throw new Error('the PDF has no pages');
+        } catch (err) {
+            console.error(`PDF rendering failed for ${fileName}:`, err);
+            showToast(`Could not open ${fileName}: ${err.message}`, 'error');
+            if (fileHash) unreadableFiles.add(fileHash);
+            return null;
+        }
+        image = pdf.pages[0];
+    }
 
     // Preprocess image (crop whitespace)
     let optimizedBlob, optimizedUrl, autoBounds, chunks;
     try {
-        const optimized = await optimizeImageForAI(file);
+        const optimized = await optimizeImageForAI(image);
         optimizedBlob = optimized.blob;
         optimizedUrl = optimized.url;
         autoBounds = optimized.bounds;
         chunks = optimized.chunks;
     } catch (err) {
         console.warn('Image optimization failed, using original:', err);
-        optimizedBlob = file;
-        optimizedUrl = URL.createObjectURL(file);
+        optimizedBlob = image;
+        optimizedUrl = URL.createObjectURL(image);
         autoBounds = null; // Signal full image
-        chunks = [file];
+        chunks = [image];
     }
 
     // Create UI Card
-    const card = createReceiptCard(fileName, optimizedBlob, optimizedUrl, file, autoBounds);
+    const card = createReceiptCard(fileName, optimizedBlob, optimizedUrl, image, autoBounds, fileHash);
+    card.dataset.folder = folder;
+    if (pdf) {
+        const laterPages = pdf.pages.slice(1);
+        const laterChunks = [];
+        for (const page of laterPages) {
+            try {
+                laterChunks.push(...(await optimizeImageForAI(page)).chunks);
+            } catch (err) {
+                console.warn('Page optimization failed, using the full page:', err);
+                laterChunks.push(page);
+            }
+        }
+        pdfInputs.set(card, { chunks: laterChunks, text: pdf.text });
+        if (laterPages.length > 0 || pdf.pageCount > 1) setCardPages(card, laterPages, pdf.pageCount);
+    }
+    applyFolderDefaults(card);
     if (DOM.receiptList.querySelector('.empty-state')) {
         DOM.receiptList.innerHTML = '';
     }
     DOM.receiptList.appendChild(card);
 
-    await runAIExtraction(chunks || optimizedBlob, card, fileName);
+    const pdfInput = pdfInputs.get(card);
+    return {
+        card,
+        image,
+        chunks: [...(chunks || [optimizedBlob]), ...(pdfInput?.chunks || [])],
+        text: pdfInput?.text || ''
+    };
+}
+
+// --- Review Session ---
+
+async function checkSavedSession() {
+    let entries;
+    try {
+        await loadLedger();
+        entries = await getSessionEntries();
+    } catch (err) {
+        console.warn('Could not read the saved review session:', err);
+        return;
+    }
+
+    // Receipts pushed or dismissed in another tab since they were saved
+    entries.filter(entry => isInLedger(entry.fileHash)).forEach(entry => {
+        deleteSessionEntry(entry.fileHash).catch(err => console.warn('Could not update review session:', err));
+    });
+    pendingSession = entries.filter(entry => !isInLedger(entry.fileHash));
+    if (pendingSession.length === 0) return;
+
+    const permitted = await Promise.all(pendingSession.map(entry =>
+        !entry.fileHandle || hasReadPermission(entry.fileHandle).catch(() => false)));
+    if (permitted.every(Boolean)) {
+        await restoreSession();
+        return;
+    }
+
+    DOM.restoreText.textContent = `${pendingSession.length} receipts from your last session are waiting for folder access.`;
+    DOM.restoreBanner.hidden = false;
+}
+
+async function handleRestoreSession() {
+    // Granting the folder covers every receipt in it; files from elsewhere are asked for one by one
+    try {
+        const folder = await getReceiptFolder();
+        if (folder && await hasReadPermission(folder, true) && !directoryHandle) {
+            connectFolder(folder);
+        }
+        for (const entry of pendingSession) {
+            if (entry.fileHandle) await hasReadPermission(entry.fileHandle, true);
+        }
+    } catch (err) {
+        showToast('Folder access failed: ' + err.message, 'error');
+        return;
+    }
+
+    DOM.restoreBanner.hidden = true;
+    await restoreSession();
+}
+
+async function handleDiscardSession() {
+    pendingSession = [];
+    DOM.restoreBanner.hidden = true;
+    try {
+        await clearSession();
+    } catch (err) {
+        console.warn('Could not clear review session:', err);
+    }
+}
+
+async function restoreSession() {
+    const entries = pendingSession;
+    pendingSession = [];
+    let restored = 0;
+
+    for (const entry of entries) {
+        // Already back on screen from a scan made before restoring
+        if (DOM.receiptList.querySelector(`[data-file-hash="${entry.fileHash}"]`)) continue;
+
+        let file;
+        try {
+            file = entry.file || await entry.fileHandle.getFile();
+        } catch (err) {
+            // Moved, deleted or still not permitted: drop it, a scan will find it again if it still exists
+            console.warn(`Could not reopen ${entry.fileName}:`, err);
+            deleteSessionEntry(entry.fileHash).catch(e => console.warn('Could not update review session:', e));
+            continue;
+        }
+
+        if (directoryHandle && entry.fileHandle) {
+            try {
+                registerReceiptFile(entry.fileHash, entry.fileHandle, await resolveFolder(directoryHandle, entry.folder || ''), directoryHandle);
+            } catch (err) {
+                console.warn(`${entry.fileName} is no longer in the receipt folder; it will not be moved`, err);
+            }
+        }
+        const added = await addReceiptCard(file, entry.fileHash, entry.folder);
+        if (!added) continue;
+        restored++;
+        const { card, image, chunks, text } = added;
+        if (!entry.state) {
+            // Closed before the AI finished; this one has to be extracted again
+            enqueueJob(entry.fileHash, file.name, signal => runAIExtraction(chunks, card, file.name, text, signal));
+            continue;
+        }
+
+        const adjusted = (entry.state.redactions || []).length > 0 ||
+            JSON.stringify(entry.state.bounds) !== card.dataset.bounds;
+        if (adjusted) {
+            const { blob } = await applyAdjustments(image, entry.state.bounds, entry.state.redactions || []);
+            const url = URL.createObjectURL(blob);
+            card.querySelector('.receipt-preview').src = url;
+            card.dataset.displayUrl = url;
+        }
+        await restoreCardState(card, entry.state);
+    }
+
+    const currentCount = parseInt(DOM.processedCount.textContent) || 0;
+    DOM.processedCount.textContent = currentCount + restored;
+    if (restored > 0) {
+        showToast(`Restored ${restored} receipts from your last session`, 'success');
+    }
+}
+
+function saveActiveCardSession() {
+    const activeData = getActiveRedactionCard();
+    if (activeData && activeData.card) saveCardSession(activeData.card);
 }
 
 // Start the app
@@ -0,0 +1,133 @@
+// Moves handled receipt files out of the receipt folder once they are done with:
+// pushed (or already in YNAB) into processed/YYYY-MM/, dismissed into dismissed/.
+import { showToast } from './ui.js';
+import { fillMemoTemplate } from './memo.js';
+import { getCurrencyDecimals } from './currency.js';
+import { updateLedgerEntry } from './ledger.js';
+import { hasWritePermission } from './session.js';
+import { getArchiveNamePattern, isArchiveEnabled } from './config.js';
+
+// Created inside the receipt folder, so scans must not descend into them
+export const ARCHIVE_FOLDERS = ['processed', 'dismissed'];
+
+// fileHash -> { fileHandle, parentHandle, rootHandle } for receipts currently in the queue
+const receiptFiles = new Map();
+// Outstanding write-permission prompt; archiving waits for the user's answer
+let accessRequest = Promise.resolve();
+
+export function registerReceiptFile(fileHash, fileHandle, parentHandle, rootHandle = parentHandle) {
+    if (fileHash && fileHandle && parentHandle) {
+        receiptFiles.set(fileHash, { fileHandle, parentHandle, rootHandle });
+    }
+}
+
+/**
+ * Asks for write access to the folders the given receipts came from. Must be called from a
+ * click handler before its first await: the prompt needs the click's user activation, which
+ * is gone by the time a push has finished and archiveReceipt runs.
+ */
+export function requestArchiveAccess(fileHashes) {
+    if (!isArchiveEnabled()) return;
+    const roots = new Set(fileHashes.map(fileHash => receiptFiles.get(fileHash)?.rootHandle).filter(Boolean));
+    if (roots.size === 0) return;
+    accessRequest = Promise.all([...roots].map(root => root.requestPermission({ mode: 'readwrite' }).catch(() => 'denied')));
+}
+
+export function buildArchiveName(pattern, entry, originalName) {
+    const extension = (/\.[^.]+$/.exec(originalName) || [''])[0].toLowerCase();
+    const amount = entry.total ? entry.total.toFixed(getCurrencyDecimals(entry.currency)) : '';
+    const base = fillMemoTemplate(pattern, {
+        date: entry.date,
+        payee: (entry.payeeName || entry.merchant || '').slice(0, 40),
+        merchant: (entry.merchant || '').slice(0, 40),
+        amount,
+        currency: entry.currency,
+        category: entry.categoryName,
+        fileName: originalName.replace(/\.[^.]+$/, '')
+    })
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+        .replace(/\s+/g, '-')
+        .replace(/_{2,}/g, '_')
+        .replace(/^[_.-]+|[_.-]+$/g, '');
+    return (base || originalName.replace(/\.[^.]+$/, '')) + extension;
+}
+
+/**
+ * Moves one handled receipt. Never overwrites: an existing file of the same name
+ * is reported as a conflict and the receipt stays where it is.
+ */
+export async function archiveReceipt(entry) {
+    const source = receiptFiles.get(entry.fileHash);
+    if (!source) return { status: 'untracked' }; // Not from the connected folder
+    await accessRequest;
+    if (!await hasWritePermission(source.rootHandle).catch(() => false)) {
+        return { status: 'skipped', reason: 'no write access to the receipt folder' };
+    }
+
+    const segments = entry.status === 'dismissed'
+        ? ['dismissed']
+        : ['processed', (entry.date || new Date().toISOString()).slice(0, 7)];
+    let dir = source.rootHandle;
+    for (const segment of segments) {
+        dir = await dir.getDirectoryHandle(segment, { create: true });
+    }
+
+    const name = buildArchiveName(getArchiveNamePattern(), entry, source.fileHandle.name);
+    const path = [...segments, name].join('/');
+    if (await fileExists(dir, name)) return { status: 'conflict', path };
+
+    await moveFile(source.fileHandle, source.parentHandle, dir, name);
+    receiptFiles.delete(entry.fileHash);
+    return { status: 'moved', path };
+}
+
+// Archives and reports; the ledger remembers where the file went (or why it stayed)
+export async function archiveHandledReceipt(entry) {
+    let result;
+    try {
+        result = await archiveReceipt(entry);
+    } catch (err) {
+        console.error('Archiving failed:', err);
+        result = { status: 'failed', reason: err.message };
+    }
+
+    if (result.status === 'untracked') return;
+    if (result.status === 'moved') {
+        await updateLedgerEntry(entry.fileHash, { archivedAs: result.path, archiveProblem: null });
+        return;
+    }
+
+    const problem = result.status === 'conflict' ? `${result.path} already exists` : result.reason;
+    await updateLedgerEntry(entry.fileHash, { archiveProblem: problem });
+    showToast(`${entry.fileName} was not moved: ${problem}`, 'warning');
+}
+
+async function fileExists(dir, name) {
+    try {
+        await dir.getFileHandle(name);
+        return true;
+    } catch (err) {
+        if (err.name === 'NotFoundError') return false;
+        if (err.name === 'TypeMismatchError') return true; // A folder by that name
+        throw err;
+    }
+}
+
+async function moveFile(fileHandle, fromDir, toDir, name) {
+    if (typeof fileHandle.move === 'function') {
+        try {
+            await fileHandle.move(toDir, name);
+            return;
+        } catch (err) {
+            console.warn('Native move failed, copying instead:', err);
+        }
+    }
+
+    // Copy, then delete the original only once the copy is complete
+    const file = await fileHandle.getFile();
+    const target = await toDir.getFileHandle(name, { create: true });
+    const writable = await target.createWritable();
+    await writable.write(file);
+    await writable.close();
+    await fromDir.removeEntry(fileHandle.name);
+}
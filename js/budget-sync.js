@@ -0,0 +1,98 @@
+// Delta sync of per-budget metadata (categories, payees, accounts) using YNAB's server_knowledge.
+// The first sync downloads everything; later syncs only request changes since the last known
+// server_knowledge and merge them into the cached copy, including renames and deletions.
+import { ynabGet } from './ynab-client.js';
+import { getBudgetCache, setBudgetCache } from './config.js';
+
+// Upserts changed entities into a map keyed by id, dropping deleted ones. Returns the change count.
+function mergeEntities(map, entities, pick) {
+    let changes = 0;
+    (entities || []).forEach(entity => {
+        if (entity.deleted) {
+            if (map[entity.id]) {
+                delete map[entity.id];
+                changes++;
+            }
+            return;
+        }
+        map[entity.id] = pick(entity);
+        changes++;
+    });
+    return changes;
+}
+
+const RESOURCES = {
+    categories: {
+        path: budgetId => `/budgets/${budgetId}/categories`,
+        empty: () => ({ groups: {}, categories: {} }),
+        merge(items, data) {
+            const groups = data.category_groups || [];
+            let changes = mergeEntities(items.groups, groups, g => ({ id: g.id, name: g.name, hidden: g.hidden }));
+            groups.forEach(group => {
+                changes += mergeEntities(items.categories, group.categories, c => ({
+                    id: c.id,
+                    name: c.name,
+                    hidden: c.hidden,
+                    category_group_id: c.category_group_id || group.id
+                }));
+            });
+            return changes;
+        }
+    },
+    payees: {
+        path: budgetId => `/budgets/${budgetId}/payees`,
+        empty: () => ({}),
+        merge: (items, data) => mergeEntities(items, data.payees, p => ({
+            id: p.id,
+            name: p.name,
+            transfer_account_id: p.transfer_account_id
+        }))
+    },
+    accounts: {
+        path: budgetId => `/budgets/${budgetId}/accounts`,
+        empty: () => ({}),
+        merge: (items, data) => mergeEntities(items, data.accounts, a => ({
+            id: a.id,
+            name: a.name,
+            type: a.type,
+            on_budget: a.on_budget,
+            closed: a.closed
+        }))
+    }
+};
+
+/**
+ * Brings the cached copy of a budget resource up to date.
+ * Resolves to { items, changed } where items is the merged cache.
+ */
+export async function syncBudgetResource(budgetId, resource, { full = false } = {}) {
+    const def = RESOURCES[resource];
+    const cached = full ? null : getBudgetCache(budgetId, resource);
+
+    const query = cached ? { last_knowledge_of_server: cached.serverKnowledge } : undefined;
+    const data = await ynabGet(def.path(budgetId), query);
+
+    const items = cached ? cached.items : def.empty();
+    const changes = def.merge(items, data);
+
+    setBudgetCache(budgetId, resource, { serverKnowledge: data.server_knowledge, items });
+    return { items, changed: !cached || changes > 0 };
+}
+
+export function getCachedBudgetResource(budgetId, resource) {
+    const cached = getBudgetCache(budgetId, resource);
+    return cached ? cached.items : null;
+}
+
+// Visible categories as { id, name, group }, skipping hidden ones and those in hidden groups
+export function listCategories(items) {
+    return Object.values(items.categories)
+        .filter(c => !c.hidden)
+        .map(c => ({ category: c, group: items.groups[c.category_group_id] }))
+        .filter(({ group }) => group && !group.hidden)
+        .map(({ category, group }) => ({
+            id: category.id,
+            name: category.name,
+            group: group.name
+        }));
+}
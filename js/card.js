@@ -1,19 +1,49 @@
 import { DOM } from './dom.js';
-import { pushToYNAB } from './ynab.js';
-import { renderChips, updateProgressCounter } from './ui.js';
-import { markAsProcessed } from './config.js';
-import { setActiveRedactionCard, setupCroppingUI, renderRedactions, updateModalToolbar, setupRedactionCanvas, clearRedactionCanvas } from './modal.js';
+import { pushToYNAB, getCachedPayees, getCachedAccounts } from './ynab.js';
+import { renderChips, updateProgressCounter, showToast, fillAccountSelect, fillFlagSelect, fillClearedSelect } from './ui.js';
+import { getYNABCategories, isArchiveEnabled, getPayeeAliases, setPayeeAlias, getBudgetCurrency, getMemoTemplate, getAccountDefaults, findFolderDefaults } from './config.js';
+import { normalizeCurrency, getCurrencySymbol, getCurrencyDecimals, formatMoney, toMinorUnits, DEFAULT_CURRENCY } from './currency.js';
+import { matchPayee, normalizeMerchant } from './payees.js';
+import { findRule } from './rules.js';
+import { findRefundOriginal, recordLedgerEntry, RECEIPT_KINDS } from './ledger.js';
+import { updateSessionEntry, deleteSessionEntry } from './session.js';
+import { archiveHandledReceipt, requestArchiveAccess } from './archive.js';
+import { validateRegistrationNumber, REGISTRATION_WARNINGS } from './invoice.js';
+import { fillMemoTemplate, truncateMemo, MEMO_MAX_LENGTH } from './memo.js';
+import { scoreExtraction, isLowConfidence } from './validation.js';
+import { cancelExtraction, retryExtraction } from './ai.js';
+import { enqueueJob, removeJob } from './queue.js';
+import { setActiveRedactionCard, setModalPages, isFirstModalPage, setupCroppingUI, renderRedactions, updateModalToolbar, setupRedactionCanvas, clearRedactionCanvas } from './modal.js';
 
 let cardCounter = 0;
 
-export function createReceiptCard(fileName, optimizedBlob, displayUrl, originalFile, autoBounds) {
+const KIND_LABELS = { purchase: 'Purchase', refund: 'Refund', void: 'Void' };
+
+// Inputs (by their ".<name>-input" class) and dataset keys saved with the review session
+const STATE_FIELDS = [
+    'merchant', 'payee', 'date', 'kind', 'amount', 'currency', 'category', 'account', 'flag', 'cleared', 'approved',
+    'time', 'receipt-no', 'payment-method', 'taxable8', 'tax8', 'taxable10', 'tax10', 'registration', 'memo'
+];
+const STATE_FLAGS = [
+    'payeeManual', 'flagManual', 'clearedManual', 'approvedManual', 'memoManual', 'accountManual',
+    'savedAccountId', 'ocrText', 'refundOf', 'originalReceiptNo', 'items', 'duplicateOverride'
+];
+// Inputs whose extracted value gets a confidence check (validation.js)
+const SCORED_FIELDS = ['amount', 'date', 'category'];
+const SESSION_SAVE_DELAY_MS = 500;
+const pendingSaves = new Map();
+
+export function createReceiptCard(fileName, optimizedBlob, displayUrl, originalFile, autoBounds, fileHash = null) {
     cardCounter++;
     const card = document.createElement('div');
     card.className = 'receipt-card processing';
     card.id = `receipt-${cardCounter}`;
     card.dataset.merchant = fileName; // Initial fallback
+    card.dataset.fileName = fileName;
+    if (fileHash) card.dataset.fileHash = fileHash;
     card.dataset.bounds = JSON.stringify(autoBounds);
     card.dataset.redactions = JSON.stringify([]);
+    card.dataset.items = JSON.stringify([]);
 
     // Store original URL as well
     const originalUrl = URL.createObjectURL(originalFile);
@@ -30,31 +60,119 @@ export function createReceiptCard(fileName, optimizedBlob, displayUrl, originalF
                 <input type="text" class="edit-input merchant-input" placeholder="Analyzing...">
                 <div class="suggestion-chips merchants-chips"></div>
             </div>
+            <div class="field-group">
+                <label>YNAB Payee <span class="payee-match-badge"></span></label>
+                <div class="payee-row">
+                    <input type="text" class="edit-input payee-input" placeholder="New payee (from merchant)" list="ynab-payee-list">
+                    <button class="btn-icon btn-remember-payee" title="Always use this payee for this merchant">📌</button>
+                </div>
+            </div>
             <div class="field-group">
                 <label>Date</label>
                 <input type="date" class="edit-input date-input">
                 <div class="suggestion-chips dates-chips"></div>
             </div>
             <div class="field-group">
-                <label>Amount (JPY)</label>
+                <label>Amount</label>
                 <div class="amount-display">
-                    <span class="currency-symbol">¥</span>
-                    <input type="number" class="edit-input amount-input" placeholder="0">
+                    <select class="edit-input kind-input" title="Purchase, refund or voided receipt"></select>
+                    <span class="currency-symbol"></span>
+                    <input type="number" step="any" class="edit-input amount-input" placeholder="0">
+                    <input type="text" class="edit-input currency-input" list="currency-list" maxlength="3" title="Receipt currency (ISO code)">
                 </div>
                 <div class="suggestion-chips amounts-chips"></div>
             </div>
             <div class="field-group">
-                <label>Category</label>
+                <label>Category <button class="btn-icon btn-toggle-split" title="Split by line items">✂️</button></label>
                 <input type="text" class="edit-input category-input" placeholder="Category..." list="ynab-category-list">
                 <div class="suggestion-chips categories-chips"></div>
             </div>
+            <div class="field-group split-group" hidden>
+                <label>Split by Category</label>
+                <div class="split-editor" data-field="split">
+                    <ul class="split-lines"></ul>
+                    <div class="split-footer">
+                        <button class="btn-icon btn-add-split-line" title="Add line">➕ Line</button>
+                        <span class="split-summary"></span>
+                    </div>
+                </div>
+            </div>
+            <div class="field-row">
+                <div class="field-group">
+                    <label>Account</label>
+                    <select class="edit-input account-input"></select>
+                </div>
+                <div class="field-group">
+                    <label>Flag</label>
+                    <select class="edit-input flag-input"></select>
+                </div>
+            </div>
+            <div class="field-row">
+                <div class="field-group">
+                    <label>Cleared</label>
+                    <select class="edit-input cleared-input"></select>
+                </div>
+                <div class="field-group toggle-group">
+                    <label><input type="checkbox" class="approved-input"> Approved</label>
+                </div>
+            </div>
+            <details class="receipt-details">
+                <summary>Receipt Details</summary>
+                <div class="tax-grid">
+                    <label>Time</label>
+                    <input type="time" class="edit-input time-input">
+                    <label>Receipt No.</label>
+                    <input type="text" class="edit-input receipt-no-input" placeholder="No.">
+                </div>
+                <div class="field-group">
+                    <label>Payment Method</label>
+                    <input type="text" class="edit-input payment-method-input" placeholder="Cash, Visa, Suica...">
+                </div>
+            </details>
+            <details class="tax-details">
+                <summary>Tax &amp; Invoice <span class="invoice-badge"></span></summary>
+                <div class="tax-grid">
+                    <label>8% 対象</label>
+                    <input type="number" step="any" class="edit-input taxable8-input" placeholder="0">
+                    <label>8% 税</label>
+                    <input type="number" step="any" class="edit-input tax8-input" placeholder="0">
+                    <label>10% 対象</label>
+                    <input type="number" step="any" class="edit-input taxable10-input" placeholder="0">
+                    <label>10% 税</label>
+                    <input type="number" step="any" class="edit-input tax10-input" placeholder="0">
+                </div>
+                <div class="field-group">
+                    <label>登録番号</label>
+                    <input type="text" class="edit-input registration-input" placeholder="T0000000000000">
+                    <div class="invoice-warning" hidden></div>
+                </div>
+            </details>
+            <div class="field-group">
+                <label>Memo</label>
+                <input type="text" class="edit-input memo-input" maxlength="${MEMO_MAX_LENGTH}" placeholder="No memo">
+            </div>
+            <div class="rule-applied" hidden></div>
+            <div class="folder-applied" hidden></div>
+            <div class="refund-link" hidden></div>
         </div>
+        <div class="extraction-state"></div>
+        <div class="duplicate-warning" hidden></div>
+        <div class="card-status" hidden></div>
         <div class="card-actions">
             <button class="btn btn-small btn-push" disabled>Push to YNAB</button>
             <button class="btn btn-small btn-dismiss">Dismiss</button>
         </div>
     `;
 
+    const kindSelect = card.querySelector('.kind-input');
+    RECEIPT_KINDS.forEach(kind => kindSelect.appendChild(new Option(KIND_LABELS[kind], kind)));
+    fillAccountSelect(card.querySelector('.account-input'), getCachedAccounts(DOM.budgetId.value));
+    fillFlagSelect(card.querySelector('.flag-input'));
+    fillClearedSelect(card.querySelector('.cleared-input'));
+    applyAccountDefaults(card);
+    setCardCurrency(card, getBudgetCurrency(DOM.budgetId.value) || DEFAULT_CURRENCY);
+    showExtractionPending(card);
+
     // Modal logic
     card.querySelector('.receipt-preview-container').addEventListener('click', () => {
         const currentBounds = card.dataset.bounds ? JSON.parse(card.dataset.bounds) : null;
@@ -86,12 +204,17 @@ export function createReceiptCard(fileName, optimizedBlob, displayUrl, originalF
         modalImg.onload = () => {
             // Always show Retry button when modal is open
             DOM.btnRetryAI.style.display = 'block';
+            // Later PDF pages are for reading only
+            if (!isFirstModalPage()) return;
+
+            // Re-read the card: the crop may have changed before flipping back to the first page
+            const bounds = card.dataset.bounds ? JSON.parse(card.dataset.bounds) : null;
 
             // Setup Cropping Visualization
-            setupCroppingUI(modalImg, currentBounds);
+            setupCroppingUI(modalImg, bounds);
 
             // Setup Redactions
-            renderRedactions(currentRedactions);
+            renderRedactions(JSON.parse(card.dataset.redactions || '[]'));
             updateModalToolbar();
 
             if (modal.classList.contains('redact-mode')) {
@@ -101,26 +224,587 @@ export function createReceiptCard(fileName, optimizedBlob, displayUrl, originalF
             }
         };
 
+        setModalPages(card.dataset.pageUrls ? JSON.parse(card.dataset.pageUrls) : [card.dataset.originalUrl]);
         modalImg.src = card.dataset.originalUrl;
         modalImg.classList.remove('zoomed'); // Reset zoom on open
     });
 
-    card.querySelector('.btn-push').addEventListener('click', () => pushToYNAB(card, fileName));
-    card.querySelector('.btn-dismiss').addEventListener('click', () => {
-        card.remove();
-        markAsProcessed(fileName);
-        updateProgressCounter();
+    // Payee resolution follows the merchant until the user picks a payee by hand
+    card.querySelector('.merchant-input').addEventListener('input', () => resolvePayee(card));
+    card.querySelector('.merchant-input').addEventListener('change', () => applyMerchantRule(card).then(() => saveCardSession(card)));
+    card.querySelector('.payee-input').addEventListener('input', () => {
+        card.dataset.payeeManual = 'true';
+        setPayeeBadge(card, 'manual');
+    });
+    card.querySelector('.btn-remember-payee').addEventListener('click', () => rememberPayeeAlias(card));
+
+    // Account defaults fill flag, cleared and approved until the user overrides them on this card
+    card.querySelector('.account-input').addEventListener('change', () => {
+        card.dataset.accountManual = 'true';
+        delete card.dataset.savedAccountId;
+        applyAccountDefaults(card);
+    });
+    ['flag', 'cleared', 'approved'].forEach(field => {
+        card.querySelector(`.${field}-input`).addEventListener('change', () => {
+            card.dataset[`${field}Manual`] = 'true';
+        });
+    });
+
+    // Touching a flagged field counts as reviewing it
+    SCORED_FIELDS.forEach(field => {
+        card.querySelector(`.${field}-input`).addEventListener('input', () => clearConfidenceWarning(card, field));
+    });
 
-        // Update files in queue count
-        const currentCount = parseInt(DOM.processedCount.textContent) || 0;
-        DOM.processedCount.textContent = Math.max(0, currentCount - 1);
+    // Split editor
+    card.querySelector('.btn-toggle-split').addEventListener('click', () => toggleSplitEditor(card));
+    card.querySelector('.btn-add-split-line').addEventListener('click', () => {
+        addSplitLine(card, { name: '', price: 0, category: card.querySelector('.category-input').value });
+        updateSplitSummary(card);
+    });
+    card.querySelector('.split-lines').addEventListener('input', () => updateSplitSummary(card));
+    card.querySelector('.amount-input').addEventListener('input', () => updateSplitSummary(card));
+    card.querySelector('.currency-input').addEventListener('change', (e) => {
+        setCardCurrency(card, normalizeCurrency(e.target.value) || getBudgetCurrency(DOM.budgetId.value) || DEFAULT_CURRENCY);
+        updateSplitSummary(card);
+    });
+
+    card.querySelector('.registration-input').addEventListener('change', () => updateInvoiceWarning(card));
+    kindSelect.addEventListener('change', () => setReceiptKind(card, kindSelect.value).then(() => saveCardSession(card)));
+
+    // The memo previews the template live until the user types their own
+    card.querySelector('.memo-input').addEventListener('input', (e) => {
+        card.dataset.memoManual = e.target.value ? 'true' : '';
+        if (!e.target.value) refreshMemoPreview(card);
+    });
+    card.querySelector('.receipt-info').addEventListener('input', (e) => {
+        if (!e.target.classList.contains('memo-input')) refreshMemoPreview(card);
+        saveCardSession(card);
+    });
+    card.querySelector('.receipt-info').addEventListener('change', () => saveCardSession(card));
+    card.querySelector('.receipt-info').addEventListener('click', (e) => {
+        if (!e.target.closest('.chip, button')) return;
+        refreshMemoPreview(card);
+        saveCardSession(card);
+    });
+
+    card.querySelector('.btn-push').addEventListener('click', () => pushToYNAB(card));
+    card.querySelector('.btn-dismiss').addEventListener('click', () => {
+        requestArchiveAccess([card.dataset.fileHash]);
+        recordCardInLedger(card, 'dismissed');
+        removeCard(card);
     });
 
     return card;
 }
 
-export function updateReceiptCard(card, data) {
+export function resolvePayee(card) {
+    if (card.dataset.payeeManual === 'true') return;
+
+    const merchant = card.querySelector('.merchant-input').value;
+    const budgetId = DOM.budgetId.value;
+    const match = matchPayee(merchant, getCachedPayees(budgetId), getPayeeAliases(budgetId));
+
+    card.querySelector('.payee-input').value = match ? match.payee.name : '';
+    if (!match) {
+        setPayeeBadge(card, merchant ? 'new' : '');
+    } else if (match.source === 'alias') {
+        setPayeeBadge(card, 'alias');
+    } else {
+        setPayeeBadge(card, `${Math.round(match.score * 100)}% match`);
+    }
+}
+
+function setPayeeBadge(card, text) {
+    const badge = card.querySelector('.payee-match-badge');
+    badge.textContent = text;
+    badge.dataset.kind = text.endsWith('match') ? 'fuzzy' : text;
+}
+
+// Pre-fills payee, category, account and flag from a learned or user-defined merchant rule
+export async function applyMerchantRule(card) {
+    const merchant = card.querySelector('.merchant-input').value;
+    const note = card.querySelector('.rule-applied');
+
+    let rule = null;
+    try {
+        rule = await findRule(DOM.budgetId.value, merchant);
+    } catch (err) {
+        console.warn('Merchant rule lookup failed:', err);
+    }
+
+    if (!rule) {
+        note.hidden = true;
+        return;
+    }
+
+    if (rule.payeeName && card.dataset.payeeManual !== 'true') {
+        card.querySelector('.payee-input').value = rule.payeeName;
+        setPayeeBadge(card, 'rule');
+    }
+    if (rule.categoryName) {
+        card.querySelector('.category-input').value = rule.categoryName;
+    }
+    const accountSelect = card.querySelector('.account-input');
+    if (rule.accountId && [...accountSelect.options].some(o => o.value === rule.accountId)) {
+        accountSelect.value = rule.accountId;
+        applyAccountDefaults(card);
+    }
+    if (rule.flagColor !== null && rule.flagColor !== undefined && card.dataset.flagManual !== 'true') {
+        card.querySelector('.flag-input').value = rule.flagColor;
+    }
+
+    note.hidden = false;
+    note.textContent = `📏 Rule applied (${rule.matchType}: ${rule.pattern})`;
+}
+
+// Pages after the first of a multi-page PDF, viewable in the full-size modal
+export function setCardPages(card, laterPages, pageCount) {
+    const urls = laterPages.map(page => URL.createObjectURL(page));
+    card.dataset.pageUrls = JSON.stringify([card.dataset.originalUrl, ...urls]);
+
+    const badge = document.createElement('div');
+    badge.className = 'page-badge';
+    badge.textContent = pageCount > urls.length + 1 ? `📄 ${urls.length + 1} of ${pageCount} pages` : `📄 ${urls.length + 1} pages`;
+    card.querySelector('.receipt-preview-container').appendChild(badge);
+}
+
+// Subfolder mappings describe where the receipt came from (which card paid, a work trip),
+// so they win over the AI's guess and learned rules; the user's own edits still win over them.
+// keepCategory leaves the category alone when re-applying after the accounts changed
+export function applyFolderDefaults(card, { keepCategory = false } = {}) {
+    const defaults = findFolderDefaults(DOM.budgetId.value, card.dataset.folder);
+    const note = card.querySelector('.folder-applied');
+    note.hidden = !defaults;
+    if (!defaults) return;
+
+    const accountSelect = card.querySelector('.account-input');
+    if (defaults.accountId && [...accountSelect.options].some(o => o.value === defaults.accountId)) {
+        accountSelect.value = defaults.accountId;
+        applyAccountDefaults(card);
+    }
+    if (defaults.categoryName && !keepCategory) {
+        card.querySelector('.category-input').value = defaults.categoryName;
+    }
+    if (defaults.flagColor && card.dataset.flagManual !== 'true') {
+        card.querySelector('.flag-input').value = defaults.flagColor;
+    }
+    note.textContent = `🗂️ Folder defaults (${defaults.path}/)`;
+}
+
+/**
+ * Refills the card's account select after the budget's accounts loaded or the budget changed.
+ * The chosen account is kept (also one restored before its option existed); cards whose
+ * account the user hasn't picked get the account and folder defaults again.
+ */
+export function refreshCardAccounts(card) {
+    const select = card.querySelector('.account-input');
+    const optionIds = () => [...select.options].map(o => o.value).join();
+    const before = optionIds();
+    const wanted = select.value || card.dataset.savedAccountId || '';
+    fillAccountSelect(select, getCachedAccounts(DOM.budgetId.value), wanted);
+    if (select.value === wanted) delete card.dataset.savedAccountId;
+
+    // A routine metadata refresh with the same accounts must not undo rules applied since
+    if (card.dataset.accountManual === 'true' || optionIds() === before) return;
+    applyAccountDefaults(card);
+    applyFolderDefaults(card, { keepCategory: true });
+}
+
+// The card's own account, else the default account chosen in settings
+export function getCardAccountId(card) {
+    return card.querySelector('.account-input').value || DOM.accountId.value;
+}
+
+export function applyAccountDefaults(card) {
+    const defaults = getAccountDefaults(DOM.budgetId.value, getCardAccountId(card));
+    if (card.dataset.flagManual !== 'true') card.querySelector('.flag-input').value = defaults.flagColor;
+    if (card.dataset.clearedManual !== 'true') card.querySelector('.cleared-input').value = defaults.cleared;
+    if (card.dataset.approvedManual !== 'true') card.querySelector('.approved-input').checked = defaults.approved;
+}
+
+function rememberPayeeAlias(card) {
+    const merchant = card.querySelector('.merchant-input').value.trim();
+    const payeeName = card.querySelector('.payee-input').value.trim();
+    const budgetId = DOM.budgetId.value;
+    const payee = getCachedPayees(budgetId).find(p => p.name.toLowerCase() === payeeName.toLowerCase());
+
+    if (!merchant || !payee) {
+        showToast('Pick an existing YNAB payee to remember', 'warning');
+        return;
+    }
+
+    setPayeeAlias(budgetId, normalizeMerchant(merchant), { merchant, payeeId: payee.id, payeeName: payee.name });
+    setPayeeBadge(card, 'alias');
+    showToast(`"${merchant}" will now map to ${payee.name}`, 'success');
+}
+
+function setCardCurrency(card, code) {
+    card.querySelector('.currency-input').value = code;
+    card.querySelector('.currency-symbol').textContent = getCurrencySymbol(code);
+}
+
+function getCardCurrency(card) {
+    return card.querySelector('.currency-input').value || DEFAULT_CURRENCY;
+}
+
+// --- Tax & Invoice ---
+
+export function getTaxDetails(card) {
+    const read = (cls) => parseFloat(card.querySelector(`.${cls}-input`).value) || 0;
+    const tax8 = read('tax8');
+    const tax10 = read('tax10');
+    return {
+        taxable8: read('taxable8'),
+        tax8,
+        taxable10: read('taxable10'),
+        tax10,
+        taxTotal: tax8 + tax10,
+        registrationNumber: card.querySelector('.registration-input').value.trim()
+    };
+}
+
+function updateInvoiceWarning(card) {
+    const input = card.querySelector('.registration-input');
+    const result = validateRegistrationNumber(input.value);
+    if (result.valid) input.value = result.normalized;
+
+    const warning = card.querySelector('.invoice-warning');
+    warning.hidden = result.valid;
+    warning.textContent = result.valid ? '' : `⚠️ ${REGISTRATION_WARNINGS[result.reason]}`;
+
+    const badge = card.querySelector('.invoice-badge');
+    badge.textContent = result.valid ? '✓' : '⚠️';
+    badge.title = result.valid ? 'Valid registration number' : REGISTRATION_WARNINGS[result.reason];
+    card.classList.toggle('invoice-warning-active', !result.valid);
+}
+
+function fillTaxDetails(card, tax, registrationNumber) {
+    const set = (cls, value) => {
+        card.querySelector(`.${cls}-input`).value = value ? value : '';
+    };
+    set('taxable8', tax && tax.taxable8);
+    set('tax8', tax && tax.tax8);
+    set('taxable10', tax && tax.taxable10);
+    set('tax10', tax && tax.tax10);
+    card.querySelector('.registration-input').value = registrationNumber || '';
+    updateInvoiceWarning(card);
+}
+
+// --- Ledger ---
+
+// The card's final field values, as kept in the ledger's history
+function getCardFields(card) {
+    return {
+        fileHash: card.dataset.fileHash,
+        fileName: card.dataset.fileName,
+        folder: card.dataset.folder || '',
+        budgetId: DOM.budgetId.value,
+        kind: card.querySelector('.kind-input').value,
+        merchant: card.querySelector('.merchant-input').value,
+        payeeName: card.querySelector('.payee-input').value.trim(),
+        date: card.querySelector('.date-input').value,
+        total: Math.abs(parseFloat(card.querySelector('.amount-input').value) || 0),
+        currency: getCardCurrency(card),
+        categoryName: card.querySelector('.category-input').value.trim(),
+        accountId: getCardAccountId(card),
+        receiptNo: card.querySelector('.receipt-no-input').value.trim(),
+        memo: getCardMemo(card)
+    };
+}
+
+export function recordCardInLedger(card, status, extra = {}) {
+    const entry = { ...getCardFields(card), transactionId: null, ...extra, status };
+    recordLedgerEntry(entry)
+        .then(() => isArchiveEnabled() && archiveHandledReceipt(entry))
+        .catch(err => console.warn('Could not record receipt in the ledger:', err));
+}
+
+// --- Refunds ---
+
+function showReceiptKind(card, kind) {
+    card.querySelector('.kind-input').value = kind;
+    RECEIPT_KINDS.forEach(k => card.classList.toggle(k, k === kind));
+}
+
+async function setReceiptKind(card, kind) {
+    showReceiptKind(card, kind);
+    if (kind === 'refund') {
+        await linkRefund(card);
+    } else {
+        delete card.dataset.refundOf;
+        card.querySelector('.refund-link').hidden = true;
+    }
+}
+
+// Points a refund at the purchase it reverses and books it back to the same payee, category and account
+async function linkRefund(card) {
+    const note = card.querySelector('.refund-link');
+    let original = null;
+    try {
+        original = await findRefundOriginal(DOM.budgetId.value, {
+            merchant: card.querySelector('.merchant-input').value,
+            date: card.querySelector('.date-input').value || localToday(),
+            total: Math.abs(parseFloat(card.querySelector('.amount-input').value) || 0),
+            currency: getCardCurrency(card),
+            originalReceiptNo: card.dataset.originalReceiptNo
+        });
+    } catch (err) {
+        console.warn('Refund lookup failed:', err);
+    }
+
+    note.hidden = false;
+    if (!original) {
+        delete card.dataset.refundOf;
+        note.textContent = '↩️ Refund — no matching pushed purchase found';
+        return;
+    }
+
+    card.dataset.refundOf = JSON.stringify({
+        fileHash: original.fileHash,
+        transactionId: original.transactionId,
+        date: original.date,
+        merchant: original.merchant
+    });
+    note.textContent = `↩️ Refund of ${original.merchant} · ${original.date} · ${formatMoney(original.total, original.currency)}`;
+
+    if (original.payeeName && card.dataset.payeeManual !== 'true') {
+        card.querySelector('.payee-input').value = original.payeeName;
+        setPayeeBadge(card, 'refund');
+    }
+    if (original.categoryName) card.querySelector('.category-input').value = original.categoryName;
+    const accountSelect = card.querySelector('.account-input');
+    if (original.accountId && [...accountSelect.options].some(o => o.value === original.accountId)) {
+        accountSelect.value = original.accountId;
+        applyAccountDefaults(card);
+    }
+}
+
+export function getRefundOf(card) {
+    return card.dataset.refundOf ? JSON.parse(card.dataset.refundOf) : null;
+}
+
+// --- Memo ---
+
+function getMemoValues(card) {
+    const currency = getCardCurrency(card);
+    const money = (value) => (value ? formatMoney(value, currency) : '');
+    const tax = getTaxDetails(card);
+    const splitLines = getSplitLines(card);
+    const items = splitLines ? splitLines.map(line => line.name) : JSON.parse(card.dataset.items || '[]');
+
+    return {
+        fileName: card.dataset.fileName,
+        time: card.querySelector('.time-input').value,
+        items: items.filter(Boolean).join(', '),
+        paymentMethod: card.querySelector('.payment-method-input').value.trim(),
+        receiptNo: card.querySelector('.receipt-no-input').value.trim(),
+        taxable8: money(tax.taxable8),
+        tax8: money(tax.tax8),
+        taxable10: money(tax.taxable10),
+        tax10: money(tax.tax10),
+        taxTotal: money(tax.taxTotal),
+        registrationNumber: tax.registrationNumber
+    };
+}
+
+export function refreshMemoPreview(card) {
+    if (card.dataset.memoManual === 'true') return;
+    card.querySelector('.memo-input').value = truncateMemo(fillMemoTemplate(getMemoTemplate(), getMemoValues(card)));
+}
+
+export function getCardMemo(card) {
+    return card.querySelector('.memo-input').value.trim();
+}
+
+// --- Split Editor ---
+
+function toggleSplitEditor(card) {
+    const group = card.querySelector('.split-group');
+    if (!group.hidden) {
+        group.hidden = true;
+        card.classList.remove('split-active');
+        return;
+    }
+
+    // Start from the whole total as one line so the user only has to carve items out of it
+    if (card.querySelectorAll('.split-line').length === 0) {
+        addSplitLine(card, {
+            name: '',
+            price: parseFloat(card.querySelector('.amount-input').value) || 0,
+            category: card.querySelector('.category-input').value
+        });
+    }
+    group.hidden = false;
+    card.classList.add('split-active');
+    updateSplitSummary(card);
+}
+
+function addSplitLine(card, { name, price, category }) {
+    const line = document.createElement('li');
+    line.className = 'split-line';
+    line.innerHTML = `
+        <input type="text" class="edit-input split-name" placeholder="Item">
+        <input type="number" step="any" class="edit-input split-price" placeholder="0">
+        <input type="text" class="edit-input split-category" placeholder="Category..." list="ynab-category-list">
+        <button class="btn-icon btn-remove-split-line" title="Remove line">✕</button>
+    `;
+    line.querySelector('.split-name').value = name || '';
+    line.querySelector('.split-price').value = price || 0;
+    line.querySelector('.split-category').value = category || '';
+    line.querySelector('.btn-remove-split-line').addEventListener('click', () => {
+        line.remove();
+        updateSplitSummary(card);
+    });
+    card.querySelector('.split-lines').appendChild(line);
+}
+
+function renderSplitLines(card, items, fallbackCategory) {
+    card.querySelector('.split-lines').innerHTML = '';
+    items.forEach(item => addSplitLine(card, {
+        name: item.name,
+        price: item.price,
+        category: item.category || fallbackCategory
+    }));
+}
+
+// Split lines when the split editor is open, otherwise null
+export function getSplitLines(card) {
+    if (card.querySelector('.split-group').hidden) return null;
+
+    return Array.from(card.querySelectorAll('.split-line')).map(line => ({
+        name: line.querySelector('.split-name').value.trim(),
+        price: parseFloat(line.querySelector('.split-price').value) || 0,
+        category: line.querySelector('.split-category').value.trim()
+    }));
+}
+
+function updateSplitSummary(card) {
+    const lines = getSplitLines(card);
+    if (!lines) return;
+
+    const totals = new Map();
+    lines.forEach(line => {
+        const key = line.category || 'Uncategorized';
+        totals.set(key, (totals.get(key) || 0) + line.price);
+    });
+
+    const currency = getCardCurrency(card);
+    const total = parseFloat(card.querySelector('.amount-input').value) || 0;
+    // Work in minor units so float noise (0.1 + 0.2) doesn't count as a mismatch
+    const remaining = (toMinorUnits(total, currency) -
+        lines.reduce((sum, line) => sum + toMinorUnits(line.price, currency), 0)) / 10 ** getCurrencyDecimals(currency);
+
+    const summary = card.querySelector('.split-summary');
+    summary.textContent = [...totals].map(([category, amount]) => `${category} ${formatMoney(amount, currency)}`).join(' · ') +
+        (remaining === 0 ? ' ✓' : ` — ${formatMoney(remaining, currency)} unassigned`);
+    summary.classList.toggle('mismatch', remaining !== 0);
+}
+
+// Flags a card whose transaction looks like one already in YNAB and lets the user decide
+export function showDuplicateWarning(card, match) {
+    const existing = match.transaction;
+    const warning = card.querySelector('.duplicate-warning');
+
+    card.classList.add('likely-duplicate');
+    const pushBtn = card.querySelector('.btn-push');
+    pushBtn.disabled = true;
+    pushBtn.innerHTML = '<span class="icon">💰</span> Push to YNAB';
+
+    warning.hidden = false;
+    warning.innerHTML = `
+        <div class="duplicate-warning-text">
+            ⚠️ Possible duplicate of <strong class="duplicate-existing"></strong>
+        </div>
+        <div class="duplicate-actions">
+            <button class="btn btn-small btn-push-anyway">Push anyway</button>
+            <button class="btn btn-small btn-skip">Skip</button>
+            <button class="btn btn-small btn-mark-processed">Mark processed</button>
+        </div>
+    `;
+    warning.querySelector('.duplicate-existing').textContent =
+        `${existing.payee_name || 'Unknown payee'} · ${existing.date} · ` +
+        formatMoney(Math.abs(existing.amount) / 1000, getBudgetCurrency(DOM.budgetId.value) || DEFAULT_CURRENCY);
+
+    warning.querySelector('.btn-push-anyway').addEventListener('click', () => {
+        card.dataset.duplicateOverride = 'true';
+        clearDuplicateWarning(card);
+        pushToYNAB(card);
+    });
+
+    // Skip: drop from this session only, it will show up again on the next scan
+    warning.querySelector('.btn-skip').addEventListener('click', () => removeCard(card));
+
+    // Mark processed: the bank feed already has it, never show this receipt again
+    warning.querySelector('.btn-mark-processed').addEventListener('click', () => {
+        recordCardInLedger(card, 'in-ynab', { transactionId: existing.id });
+        removeCard(card);
+    });
+}
+
+export function clearDuplicateWarning(card) {
+    const warning = card.querySelector('.duplicate-warning');
+    warning.hidden = true;
+    warning.innerHTML = '';
+    card.classList.remove('likely-duplicate');
+    card.querySelector('.btn-push').disabled = false;
+}
+
+// Extraction state: analyzing (with cancel) until the AI fills the card, or failed with the reason
+export function showExtractionPending(card) {
+    card.classList.add('processing');
+    card.classList.remove('extraction-failed');
+    card.querySelector('.btn-push').disabled = true;
+
+    const state = card.querySelector('.extraction-state');
+    state.hidden = false;
+    state.className = 'extraction-state';
+    // The "Analyzing..." overlay says the rest; only the button sits above it
+    state.innerHTML = '<button class="btn btn-small btn-cancel-extraction" title="Stop analyzing this receipt">Cancel</button>';
+    state.querySelector('.btn-cancel-extraction').addEventListener('click', () => {
+        if (cancelExtraction(card)) return;
+        // Still waiting its turn in the processing queue
+        removeJob(card.dataset.fileHash || card.id);
+        showExtractionFailed(card, 'Analysis cancelled');
+    });
+    updateProgressCounter();
+}
+
+export function showExtractionFailed(card, reason) {
     card.classList.remove('processing');
+    card.classList.add('extraction-failed');
+    card.querySelector('.btn-push').disabled = true;
+
+    const state = card.querySelector('.extraction-state');
+    state.hidden = false;
+    state.className = 'extraction-state failed';
+    state.innerHTML = `
+        <span class="extraction-message"></span>
+        <div class="extraction-actions">
+            <button class="btn btn-small btn-retry-extraction">Retry</button>
+            <button class="btn btn-small btn-enter-manually">Enter manually</button>
+        </div>
+    `;
+    state.querySelector('.extraction-message').textContent = `⚠️ ${reason}`;
+    state.querySelector('.btn-retry-extraction').addEventListener('click', () => {
+        showExtractionPending(card);
+        enqueueJob(card.dataset.fileHash || card.id, card.dataset.fileName, signal => retryExtraction(card, signal));
+    });
+    state.querySelector('.btn-enter-manually').addEventListener('click', async () => {
+        await updateReceiptCard(card, {});
+        card.querySelector('.merchant-input').focus();
+    });
+    updateProgressCounter();
+}
+
+function clearExtractionState(card) {
+    card.classList.remove('processing', 'extraction-failed');
+    const state = card.querySelector('.extraction-state');
+    state.hidden = true;
+    state.innerHTML = '';
+}
+
+export function updateReceiptCard(card, data) {
+    clearExtractionState(card);
     updateProgressCounter(); // Update the analysis progress counter
 
     // Deduplicate candidates while preserving order and normalizing
@@ -136,30 +820,252 @@ export function updateReceiptCard(card, data) {
     };
 
     const merchants = dedupe(data.merchants);
-    const dates = dedupe(data.dates);
-    const amounts = dedupe(data.amounts);
-    const categories = dedupe(data.categories);
+    let dates = dedupe(data.dates);
+    let amounts = dedupe(data.amounts);
+    let categories = dedupe(data.categories);
+    const currency = normalizeCurrency(data.currency);
+    if (currency) setCardCurrency(card, currency);
+
+    // Best-scoring candidates first rather than whatever the model listed first
+    const scores = scoreCardCandidates(card, data, { dates, amounts, categories });
+    dates = scores.date.candidates.map(c => dates[c.index]);
+    amounts = scores.amount.candidates.map(c => amounts[c.index]);
+    categories = scores.category.candidates.map(c => categories[c.index]);
 
     // Set primary values (most likely)
     card.querySelector('.merchant-input').value = merchants[0] || '';
+    resolvePayee(card);
     card.querySelector('.date-input').value = normalizeDate(dates[0]) || '';
-    card.querySelector('.amount-input').value = amounts[0] || 0;
+    // Negative totals are refunds whatever the model called them; the sign lives in the kind
+    const kind = amounts[0] < 0 && data.kind !== 'void' ? 'refund' : (RECEIPT_KINDS.includes(data.kind) ? data.kind : 'purchase');
+    card.querySelector('.amount-input').value = Math.abs(amounts[0] || 0);
     card.querySelector('.category-input').value = categories[0] || '';
     card.querySelector('.btn-push').disabled = false;
 
     // Render alternative chips
     renderChips(card.querySelector('.merchants-chips'), merchants, val => {
         card.querySelector('.merchant-input').value = val;
+        resolvePayee(card);
+        applyMerchantRule(card);
     });
     renderChips(card.querySelector('.dates-chips'), dates, val => {
         card.querySelector('.date-input').value = normalizeDate(val);
+        clearConfidenceWarning(card, 'date');
     });
     renderChips(card.querySelector('.amounts-chips'), amounts, val => {
-        card.querySelector('.amount-input').value = val;
-    });
+        card.querySelector('.amount-input').value = Math.abs(val);
+        clearConfidenceWarning(card, 'amount');
+    }, val => formatMoney(Math.abs(val), getCardCurrency(card)));
     renderChips(card.querySelector('.categories-chips'), categories, val => {
         card.querySelector('.category-input').value = val;
+        clearConfidenceWarning(card, 'category');
     });
+
+    fillTaxDetails(card, data.tax, data.registrationNumber);
+    card.querySelector('.time-input').value = normalizeTime(data.time);
+    card.querySelector('.payment-method-input').value = data.paymentMethod || '';
+    card.querySelector('.receipt-no-input').value = data.receiptNo || '';
+    card.dataset.originalReceiptNo = data.originalReceiptNo || '';
+
+    // Line items (line-item mode only) open the split editor pre-filled
+    const items = (data.items || []).filter(item => item && item.name);
+    card.dataset.items = JSON.stringify(items.map(item => item.name));
+    card.dataset.aiData = JSON.stringify(data);
+    if (items.length > 1) {
+        renderSplitLines(card, items, categories[0] || '');
+        card.querySelector('.split-group').hidden = false;
+        card.classList.add('split-active');
+        updateSplitSummary(card);
+    }
+
+    refreshMemoPreview(card);
+
+    // Learned rules take precedence over the AI's first category guess,
+    // and a linked purchase takes precedence over both for refunds
+    return applyMerchantRule(card)
+        .then(() => applyFolderDefaults(card))
+        .then(() => setReceiptKind(card, kind))
+        .then(() => showConfidenceWarnings(card, scores))
+        .then(() => saveCardSession(card));
+}
+
+// --- Confidence ---
+
+function scoreCardCandidates(card, data, { dates, amounts, categories }) {
+    const categoryData = getYNABCategories();
+    return scoreExtraction({
+        amounts,
+        dates: dates.map(normalizeDate),
+        categories,
+        tax: data.tax,
+        items: data.items,
+        parts: Array.isArray(data.parts)
+            ? data.parts.map(part => ({ ...part, dates: Array.isArray(part?.dates) ? part.dates.map(normalizeDate).filter(Boolean) : [] }))
+            : []
+    }, {
+        currency: getCardCurrency(card),
+        categoryNames: categoryData && categoryData.categories ? categoryData.categories.map(c => c.name) : null,
+        today: localToday()
+    });
+}
+
+// Flags the fields whose value is still the scored one (a rule or folder default may have replaced it)
+function showConfidenceWarnings(card, scores) {
+    SCORED_FIELDS.forEach(field => {
+        clearConfidenceWarning(card, field);
+        const score = scores[field];
+        if (!isLowConfidence(score)) return;
+
+        // Nothing extracted at all (manual entry): the empty field speaks for itself
+        const best = score.candidates[0];
+        if (!best) return;
+
+        const input = card.querySelector(`.${field}-input`);
+        const expected = field === 'date' ? normalizeDate(best.value) : field === 'amount' ? String(Math.abs(best.value)) : best.value;
+        if (input.value !== String(expected)) return;
+
+        input.classList.add('low-confidence');
+        input.dataset.flaggedValue = input.value;
+        const warning = document.createElement('div');
+        warning.className = 'confidence-warning';
+        warning.textContent = `⚠️ Check this: ${score.warnings.join('; ')}`;
+        input.closest('.field-group').appendChild(warning);
+    });
+    updateNeedsReview(card);
+}
+
+function clearConfidenceWarning(card, field) {
+    const input = card.querySelector(`.${field}-input`);
+    if (!input.classList.contains('low-confidence')) return;
+    input.classList.remove('low-confidence');
+    delete input.dataset.flaggedValue;
+    input.closest('.field-group').querySelector('.confidence-warning')?.remove();
+    updateNeedsReview(card);
+}
+
+function updateNeedsReview(card) {
+    card.classList.toggle('needs-review', !!card.querySelector('.low-confidence'));
+}
+
+// --- Review Session ---
+
+// Everything needed to rebuild the card after a reload, without asking the AI again
+function getCardState(card) {
+    const fields = {};
+    STATE_FIELDS.forEach(name => {
+        const input = card.querySelector(`.${name}-input`);
+        fields[name] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    const flags = {};
+    STATE_FLAGS.forEach(key => {
+        if (card.dataset[key] !== undefined) flags[key] = card.dataset[key];
+    });
+
+    return {
+        aiData: card.dataset.aiData ? JSON.parse(card.dataset.aiData) : null,
+        fields,
+        flags,
+        splitLines: getSplitLines(card),
+        bounds: card.dataset.bounds ? JSON.parse(card.dataset.bounds) : null,
+        redactions: card.dataset.redactions ? JSON.parse(card.dataset.redactions) : [],
+        notes: {
+            payeeBadge: card.querySelector('.payee-match-badge').textContent,
+            rule: card.querySelector('.rule-applied').hidden ? null : card.querySelector('.rule-applied').textContent,
+            folder: card.querySelector('.folder-applied').hidden ? null : card.querySelector('.folder-applied').textContent,
+            refund: card.querySelector('.refund-link').hidden ? null : card.querySelector('.refund-link').textContent
+        }
+    };
+}
+
+export function saveCardSession(card) {
+    const fileHash = card.dataset.fileHash;
+    // Unfinished cards stay unsaved, so a reload extracts them again
+    if (!fileHash || card.classList.contains('processing') || card.classList.contains('extraction-failed')) return;
+
+    clearTimeout(pendingSaves.get(card));
+    pendingSaves.set(card, setTimeout(() => {
+        pendingSaves.delete(card);
+        if (!card.isConnected) return;
+        updateSessionEntry(fileHash, { state: getCardState(card) })
+            .catch(err => console.warn('Could not save review session:', err));
+    }, SESSION_SAVE_DELAY_MS));
+}
+
+export async function restoreCardState(card, state) {
+    card.dataset.bounds = JSON.stringify(state.bounds);
+    card.dataset.redactions = JSON.stringify(state.redactions || []);
+    await updateReceiptCard(card, state.aiData || {});
+
+    Object.entries(state.flags || {}).forEach(([key, value]) => {
+        card.dataset[key] = value;
+    });
+    Object.entries(state.fields || {}).forEach(([name, value]) => {
+        const input = card.querySelector(`.${name}-input`);
+        if (!input) return;
+        if (input.type === 'checkbox') input.checked = value;
+        else input.value = value;
+    });
+    // Restored before the budget's accounts loaded: refreshCardAccounts selects it later
+    const accountSelect = card.querySelector('.account-input');
+    if (state.fields && state.fields.account && accountSelect.value !== state.fields.account) {
+        card.dataset.savedAccountId = state.fields.account;
+    }
+    setCardCurrency(card, getCardCurrency(card));
+    showReceiptKind(card, card.querySelector('.kind-input').value);
+    updateInvoiceWarning(card);
+    // Fields the user already changed were reviewed
+    SCORED_FIELDS.forEach(field => {
+        const input = card.querySelector(`.${field}-input`);
+        if (input.dataset.flaggedValue !== undefined && input.value !== input.dataset.flaggedValue) clearConfidenceWarning(card, field);
+    });
+
+    const group = card.querySelector('.split-group');
+    if (state.splitLines) {
+        renderSplitLines(card, state.splitLines, '');
+        group.hidden = false;
+        card.classList.add('split-active');
+        updateSplitSummary(card);
+    } else {
+        group.hidden = true;
+        card.classList.remove('split-active');
+    }
+
+    const notes = state.notes || {};
+    setPayeeBadge(card, notes.payeeBadge || '');
+    [['.rule-applied', notes.rule], ['.folder-applied', notes.folder], ['.refund-link', notes.refund]].forEach(([selector, text]) => {
+        const note = card.querySelector(selector);
+        note.hidden = !text;
+        note.textContent = text || '';
+    });
+}
+
+// Removes a card from the queue for good (pushed, dismissed or skipped)
+export function removeCard(card) {
+    cancelExtraction(card);
+    clearTimeout(pendingSaves.get(card));
+    pendingSaves.delete(card);
+    if (card.dataset.fileHash) {
+        deleteSessionEntry(card.dataset.fileHash)
+            .catch(err => console.warn('Could not update review session:', err));
+    }
+    card.remove();
+    updateProgressCounter();
+
+    // Update files in queue count
+    const currentCount = parseInt(DOM.processedCount.textContent) || 0;
+    DOM.processedCount.textContent = Math.max(0, currentCount - 1);
+}
+
+function normalizeTime(timeStr) {
+    const match = /(\d{1,2})[:：時](\d{2})/.exec(timeStr || '');
+    if (!match || +match[1] > 23 || +match[2] > 59) return '';
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+// Today as a date input shows it (local time, not UTC)
+function localToday() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
 }
 
 function normalizeDate(dateStr) {
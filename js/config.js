@@ -1,27 +1,112 @@
 export const CONFIG = {
     processedFilesKey: 'ynab_receipt_porter_processed',
     ynabCategoriesKey: 'ynab_receipt_porter_categories',
+    budgetCacheKey: 'ynab_receipt_porter_budget_cache',
+    payeeAliasesKey: 'ynab_receipt_porter_payee_aliases',
+    lineItemModeKey: 'ynab_receipt_porter_line_items',
+    watchFolderKey: 'ynab_receipt_porter_watch_folder',
+    archiveFilesKey: 'ynab_receipt_porter_archive_files',
+    archiveNamePatternKey: 'ynab_receipt_porter_archive_name_pattern',
+    defaultArchiveNamePattern: '{date}_{payee}_{amount}',
+    aiProviderKey: 'ynab_receipt_porter_ai_provider',
+    openAISettingsKey: 'ynab_receipt_porter_openai_settings',
+    defaultOpenAIBaseUrl: 'http://localhost:8080/v1',
+    queueConcurrencyKey: 'ynab_receipt_porter_queue_concurrency',
+    // Receipts decoded and analyzed at the same time; each one holds full-size images and an AI session
+    defaultQueueConcurrency: 2,
+    maxQueueConcurrency: 8,
+    budgetCurrenciesKey: 'ynab_receipt_porter_budget_currencies',
+    exchangeRatesKey: 'ynab_receipt_porter_exchange_rates',
+    memoTemplateKey: 'ynab_receipt_porter_memo_template',
+    accountDefaultsKey: 'ynab_receipt_porter_account_defaults',
+    folderDefaultsKey: 'ynab_receipt_porter_folder_defaults',
+    defaultMemoTemplate: '{receiptNo} {paymentMethod} ({fileName})',
     ynabKeyPath: 'ynab_api_pat',
     ynabBudgetIdPath: 'ynab_budget_id',
-    ynabAccountIdPath: 'ynab_account_id'
+    ynabAccountIdPath: 'ynab_account_id',
+    ynabBaseUrlPath: 'ynab_api_base_url',
+    ynabRequestTimesKey: 'ynab_receipt_porter_request_times',
+    // How far apart (in days) a receipt and an existing YNAB transaction can be and still count as a duplicate
+    duplicateDateToleranceDays: 3,
+    // Minimum time between automatic budget metadata refreshes
+    metadataRefreshIntervalMs: 5 * 60 * 1000,
+    // Minimum similarity (0..1) for a fuzzy merchant -> payee match to be used automatically
+    payeeMatchThreshold: 0.8,
+    // How far back a refund is matched against pushed purchases
+    refundLookbackDays: 90,
+    // Extracted fields scoring below this (0..1) are flagged for review; see validation.js
+    lowConfidenceScore: 0.7,
+    // Receipt dates older than this are flagged as suspicious
+    receiptMaxAgeDays: 60,
+    // Watch mode rescans this often when FileSystemObserver is unavailable
+    folderWatchIntervalMs: 30 * 1000,
+    // Files written more recently than this may still be syncing and are picked up on a later scan
+    folderSettleMs: 5 * 1000,
+    // PDF receipts: bundled pdf.js (4.10.38, loaded on first use), pages read per file, longest page side in pixels.
+    // Paths are relative to index.html
+    pdfjsPath: 'js/vendor/pdfjs/pdf.min.mjs',
+    pdfjsWorkerPath: 'js/vendor/pdfjs/pdf.worker.min.mjs',
+    pdfjsCMapPath: 'js/vendor/pdfjs/cmaps/',
+    pdfMaxPages: 5,
+    pdfRenderSize: 2000,
+    // Longest text (PDF text layer, OCR) sent to the model alongside the receipt images
+    groundingTextMaxLength: 4000,
+    // Offline OCR fallback: bundled Tesseract (5.1.1, loaded on first use) and its language data.
+    // Paths are relative to index.html
+    tesseractPath: 'js/vendor/tesseract/tesseract.esm.min.js',
+    tesseractWorkerPath: 'js/vendor/tesseract/worker.min.js',
+    tesseractCorePath: 'js/vendor/tesseract/core',
+    ocrLangPath: 'tessdata',
+    ocrLanguages: 'jpn+eng',
+    // How long the local AI server gets to answer the availability check
+    openAIProbeTimeoutMs: 5 * 1000,
+    // Cache the service worker (sw.js) parks shared files in until the page picks them up
+    shareCacheName: 'ynab-receipt-porter-shared'
+};
+
+// YNAB flag colors; '' means no flag
+export const FLAG_COLORS = ['', 'red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+export const DEFAULT_FLAG_COLOR = 'yellow';
+// Cleared states a new transaction can be created with
+export const CLEARED_STATES = ['cleared', 'uncleared'];
+
+// Used for any account without saved defaults
+const DEFAULT_ACCOUNT_DEFAULTS = {
+    cleared: 'cleared',
+    approved: true,
+    flagColor: DEFAULT_FLAG_COLOR,
+    memoPrefix: ''
 };
 
 // State
-let processedFiles = new Set(JSON.parse(localStorage.getItem(CONFIG.processedFilesKey) || '[]'));
+// File names processed before the content-hash ledger (ledger.js); migrated into it as scans find them
+let legacyProcessedFiles = new Set(JSON.parse(localStorage.getItem(CONFIG.processedFilesKey) || '[]'));
 let ynabCategories = JSON.parse(localStorage.getItem(CONFIG.ynabCategoriesKey) || 'null');
+// { [budgetId]: { [resource]: { serverKnowledge, items } } }
+let budgetCache = JSON.parse(localStorage.getItem(CONFIG.budgetCacheKey) || '{}');
+// { [budgetId]: { [normalizedMerchant]: { merchant, payeeId, payeeName } } }
+let payeeAliases = JSON.parse(localStorage.getItem(CONFIG.payeeAliasesKey) || '{}');
+// { [budgetId]: isoCode } from each budget's currency_format
+let budgetCurrencies = JSON.parse(localStorage.getItem(CONFIG.budgetCurrenciesKey) || '{}');
+// { 'USD/JPY': 151.2 } — 1 unit of the first currency in the second
+let exchangeRates = JSON.parse(localStorage.getItem(CONFIG.exchangeRatesKey) || '{}');
+// { [budgetId]: { [accountId]: { cleared, approved, flagColor, memoPrefix } } }
+let accountDefaults = JSON.parse(localStorage.getItem(CONFIG.accountDefaultsKey) || '{}');
+// { [budgetId]: { [folderPath]: { accountId, categoryName, flagColor } } }, paths relative to the receipt folder
+let folderDefaults = JSON.parse(localStorage.getItem(CONFIG.folderDefaultsKey) || '{}');
 
 // Getters and Setters
-export function getProcessedFiles() {
-    return processedFiles;
-}
-
-export function isProcessed(fileName) {
-    return processedFiles.has(fileName);
+export function isLegacyProcessed(fileName) {
+    return legacyProcessedFiles.has(fileName);
 }
 
-export function markAsProcessed(fileName) {
-    processedFiles.add(fileName);
-    localStorage.setItem(CONFIG.processedFilesKey, JSON.stringify([...processedFiles]));
+export function forgetLegacyProcessed(fileName) {
+    legacyProcessedFiles.delete(fileName);
+    if (legacyProcessedFiles.size === 0) {
+        localStorage.removeItem(CONFIG.processedFilesKey);
+    } else {
+        localStorage.setItem(CONFIG.processedFilesKey, JSON.stringify([...legacyProcessedFiles]));
+    }
 }
 
 export function getYNABCategories() {
@@ -32,3 +117,171 @@ export function setYNABCategories(categories) {
     ynabCategories = categories;
     localStorage.setItem(CONFIG.ynabCategoriesKey, JSON.stringify(categories));
 }
+
+export function getBudgetCache(budgetId, resource) {
+    return (budgetCache[budgetId] && budgetCache[budgetId][resource]) || null;
+}
+
+export function setBudgetCache(budgetId, resource, entry) {
+    budgetCache[budgetId] = { ...budgetCache[budgetId], [resource]: entry };
+    localStorage.setItem(CONFIG.budgetCacheKey, JSON.stringify(budgetCache));
+}
+
+export function getPayeeAliases(budgetId) {
+    return payeeAliases[budgetId] || {};
+}
+
+export function setPayeeAlias(budgetId, key, alias) {
+    payeeAliases[budgetId] = { ...payeeAliases[budgetId], [key]: alias };
+    localStorage.setItem(CONFIG.payeeAliasesKey, JSON.stringify(payeeAliases));
+}
+
+export function removePayeeAlias(budgetId, key) {
+    if (!payeeAliases[budgetId]) return;
+    delete payeeAliases[budgetId][key];
+    localStorage.setItem(CONFIG.payeeAliasesKey, JSON.stringify(payeeAliases));
+}
+
+// Line-item extraction asks the AI for every purchased item so receipts can be split by category
+export function isLineItemModeEnabled() {
+    return localStorage.getItem(CONFIG.lineItemModeKey) === 'true';
+}
+
+export function setLineItemMode(enabled) {
+    localStorage.setItem(CONFIG.lineItemModeKey, String(enabled));
+}
+
+export function isWatchFolderEnabled() {
+    return localStorage.getItem(CONFIG.watchFolderKey) === 'true';
+}
+
+export function setWatchFolder(enabled) {
+    localStorage.setItem(CONFIG.watchFolderKey, String(enabled));
+}
+
+// Move pushed receipts into processed/YYYY-MM/ and dismissed ones into dismissed/
+export function isArchiveEnabled() {
+    return localStorage.getItem(CONFIG.archiveFilesKey) === 'true';
+}
+
+export function setArchiveEnabled(enabled) {
+    localStorage.setItem(CONFIG.archiveFilesKey, String(enabled));
+}
+
+export function getArchiveNamePattern() {
+    return localStorage.getItem(CONFIG.archiveNamePatternKey) || CONFIG.defaultArchiveNamePattern;
+}
+
+export function setArchiveNamePattern(pattern) {
+    localStorage.setItem(CONFIG.archiveNamePatternKey, pattern);
+}
+
+// 'builtin' (Prompt API) or 'openai' (OpenAI-compatible local server); see AI_PROVIDERS in ai.js
+export function getAIProvider() {
+    return localStorage.getItem(CONFIG.aiProviderKey) || 'builtin';
+}
+
+export function setAIProvider(id) {
+    localStorage.setItem(CONFIG.aiProviderKey, id);
+}
+
+// { baseUrl, model, apiKey } of the OpenAI-compatible server; the key is optional for local servers
+export function getOpenAISettings() {
+    const saved = JSON.parse(localStorage.getItem(CONFIG.openAISettingsKey) || '{}');
+    return { baseUrl: CONFIG.defaultOpenAIBaseUrl, model: '', apiKey: '', ...saved };
+}
+
+export function setOpenAISettings(patch) {
+    localStorage.setItem(CONFIG.openAISettingsKey, JSON.stringify({ ...getOpenAISettings(), ...patch }));
+}
+
+export function getQueueConcurrency() {
+    const value = parseInt(localStorage.getItem(CONFIG.queueConcurrencyKey), 10);
+    return value >= 1 ? Math.min(value, CONFIG.maxQueueConcurrency) : CONFIG.defaultQueueConcurrency;
+}
+
+export function setQueueConcurrency(value) {
+    localStorage.setItem(CONFIG.queueConcurrencyKey, String(value));
+}
+
+export function getBudgetCurrency(budgetId) {
+    return budgetCurrencies[budgetId] || null;
+}
+
+export function setBudgetCurrencies(currencies) {
+    budgetCurrencies = { ...budgetCurrencies, ...currencies };
+    localStorage.setItem(CONFIG.budgetCurrenciesKey, JSON.stringify(budgetCurrencies));
+}
+
+export function getExchangeRates() {
+    return exchangeRates;
+}
+
+// Uses the inverse pair when only that one is maintained
+export function getExchangeRate(from, to) {
+    if (exchangeRates[`${from}/${to}`]) return exchangeRates[`${from}/${to}`];
+    if (exchangeRates[`${to}/${from}`]) return 1 / exchangeRates[`${to}/${from}`];
+    return null;
+}
+
+export function setExchangeRate(from, to, rate) {
+    exchangeRates[`${from}/${to}`] = rate;
+    localStorage.setItem(CONFIG.exchangeRatesKey, JSON.stringify(exchangeRates));
+}
+
+export function removeExchangeRate(pair) {
+    delete exchangeRates[pair];
+    localStorage.setItem(CONFIG.exchangeRatesKey, JSON.stringify(exchangeRates));
+}
+
+export function getAccountDefaults(budgetId, accountId) {
+    const saved = (accountDefaults[budgetId] || {})[accountId];
+    return { ...DEFAULT_ACCOUNT_DEFAULTS, ...saved };
+}
+
+export function setAccountDefaults(budgetId, accountId, defaults) {
+    accountDefaults[budgetId] = { ...accountDefaults[budgetId], [accountId]: defaults };
+    localStorage.setItem(CONFIG.accountDefaultsKey, JSON.stringify(accountDefaults));
+}
+
+export function normalizeFolderPath(path) {
+    return (path || '').trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+}
+
+export function getFolderDefaults(budgetId) {
+    return folderDefaults[budgetId] || {};
+}
+
+export function setFolderDefault(budgetId, path, defaults) {
+    folderDefaults[budgetId] = { ...folderDefaults[budgetId], [normalizeFolderPath(path)]: defaults };
+    localStorage.setItem(CONFIG.folderDefaultsKey, JSON.stringify(folderDefaults));
+}
+
+export function removeFolderDefault(budgetId, path) {
+    if (!folderDefaults[budgetId]) return;
+    delete folderDefaults[budgetId][path];
+    localStorage.setItem(CONFIG.folderDefaultsKey, JSON.stringify(folderDefaults));
+}
+
+// The most specific mapping wins: "work/travel" over "work" for work/travel/2026
+export function findFolderDefaults(budgetId, folder) {
+    const path = normalizeFolderPath(folder).toLowerCase();
+    if (!path) return null;
+
+    let best = null;
+    Object.entries(getFolderDefaults(budgetId)).forEach(([mapped, defaults]) => {
+        const key = mapped.toLowerCase();
+        if (path !== key && !path.startsWith(`${key}/`)) return;
+        if (!best || key.length > best.path.length) best = { path: mapped, ...defaults };
+    });
+    return best;
+}
+
+export function getMemoTemplate() {
+    // An explicitly cleared template means "no memo", so only fall back when never set
+    return localStorage.getItem(CONFIG.memoTemplateKey) ?? CONFIG.defaultMemoTemplate;
+}
+
+export function setMemoTemplate(template) {
+    localStorage.setItem(CONFIG.memoTemplateKey, template);
+}
@@ -0,0 +1,71 @@
+// Currency helpers: symbol/code normalisation, decimal places and conversion to YNAB milliunits
+import { getExchangeRate } from './config.js';
+
+export const DEFAULT_CURRENCY = 'JPY';
+
+// Receipt symbols the AI tends to return instead of ISO codes. Longer symbols first.
+const SYMBOLS = [
+    ['NT$', 'TWD'], ['HK$', 'HKD'], ['S$', 'SGD'], ['A$', 'AUD'], ['C$', 'CAD'], ['US$', 'USD'],
+    ['¥', 'JPY'], ['円', 'JPY'], ['￥', 'JPY'], ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'],
+    ['₩', 'KRW'], ['원', 'KRW'], ['元', 'CNY'], ['฿', 'THB'], ['₫', 'VND'], ['₱', 'PHP'], ['₹', 'INR']
+];
+
+export function normalizeCurrency(value) {
+    const str = (value || '').trim();
+    if (!str) return null;
+    if (/^[a-z]{3}$/i.test(str)) return str.toUpperCase();
+
+    const symbol = SYMBOLS.find(([sym]) => str.includes(sym));
+    return symbol ? symbol[1] : null;
+}
+
+export function getCurrencyDecimals(code) {
+    try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+    } catch (err) {
+        return 2; // Unknown code
+    }
+}
+
+export function getCurrencySymbol(code) {
+    try {
+        const parts = new Intl.NumberFormat('ja-JP', { style: 'currency', currency: code }).formatToParts(0);
+        return parts.find(p => p.type === 'currency').value;
+    } catch (err) {
+        return code;
+    }
+}
+
+export function formatMoney(amount, code = DEFAULT_CURRENCY) {
+    try {
+        return new Intl.NumberFormat('ja-JP', { style: 'currency', currency: code }).format(amount);
+    } catch (err) {
+        return `${code} ${amount}`;
+    }
+}
+
+// Rounds to the currency's minor unit and returns an integer count of minor units (e.g. cents)
+export function toMinorUnits(amount, code) {
+    return Math.round(Number(amount) * 10 ** getCurrencyDecimals(code));
+}
+
+/**
+ * Converts an amount in the receipt currency to budget-currency milliunits.
+ * Resolves to { milliunits, rate } or { error } when no exchange rate is configured.
+ */
+export function toMilliunits(amount, receiptCurrency, budgetCurrency) {
+    const from = receiptCurrency || budgetCurrency;
+    // Round to the receipt currency's precision first (¥1,234 or $12.34)
+    const receiptAmount = toMinorUnits(amount, from) / 10 ** getCurrencyDecimals(from);
+
+    let rate = 1;
+    if (from !== budgetCurrency) {
+        rate = getExchangeRate(from, budgetCurrency);
+        if (!rate) return { error: `No exchange rate from ${from} to ${budgetCurrency}. Add one under 💱.` };
+    }
+
+    // YNAB stores 1000 milliunits per unit, but amounts must respect the budget currency's decimals
+    const budgetDecimals = getCurrencyDecimals(budgetCurrency);
+    const converted = Math.round(receiptAmount * rate * 10 ** budgetDecimals) / 10 ** budgetDecimals;
+    return { milliunits: Math.round(converted * 1000), rate };
+}
@@ -0,0 +1,72 @@
+// Thin promise wrapper around the app's IndexedDB database.
+// Add new object stores to STORES and bump DB_VERSION; missing stores are created on upgrade.
+const DB_NAME = 'ynab-receipt-porter';
+const DB_VERSION = 3;
+
+const STORES = {
+    rules: { keyPath: 'id', autoIncrement: true, indexes: ['budgetId'] },
+    ledger: { keyPath: 'fileHash', indexes: ['budgetId'] },
+    session: { keyPath: 'fileHash' },
+    handles: { keyPath: 'name' }
+};
+
+let dbPromise = null;
+
+export function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(STORES).forEach(([name, def]) => {
+                if (db.objectStoreNames.contains(name)) return;
+                const store = db.createObjectStore(name, { keyPath: def.keyPath, autoIncrement: !!def.autoIncrement });
+                (def.indexes || []).forEach(index => store.createIndex(index, index));
+            });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+    return dbPromise;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(storeName, mode, fn) {
+    const db = await openDB();
+    const tx = db.transaction(storeName, mode);
+    return promisify(fn(tx.objectStore(storeName)));
+}
+
+export function dbGet(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+export function dbGetAll(storeName, indexName, value) {
+    return withStore(storeName, 'readonly', store =>
+        indexName ? store.index(indexName).getAll(value) : store.getAll());
+}
+
+// Resolves to the record's key (the generated id for autoIncrement stores)
+export function dbPut(storeName, value) {
+    return withStore(storeName, 'readwrite', store => store.put(value));
+}
+
+export function dbDelete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+export function dbClear(storeName) {
+    return withStore(storeName, 'readwrite', store => store.clear());
+}
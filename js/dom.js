@@ -2,12 +2,35 @@ export const DOM = {
     apiPAT: document.getElementById('ynab-api-pat'),
     budgetId: document.getElementById('ynab-budget-id'),
     accountId: document.getElementById('ynab-account-id'),
+    apiBaseUrl: document.getElementById('ynab-api-base-url'),
+    lineItemMode: document.getElementById('line-item-mode'),
+    memoTemplate: document.getElementById('memo-template'),
+    archiveFiles: document.getElementById('archive-files'),
+    archiveNamePattern: document.getElementById('archive-name-pattern'),
     btnSync: document.getElementById('btn-sync-folder'),
+    queueConcurrency: document.getElementById('queue-concurrency'),
+    queuePanel: document.getElementById('queue-panel'),
+    queueSummary: document.getElementById('queue-summary'),
+    queueList: document.getElementById('queue-list'),
+    btnPauseQueue: document.getElementById('btn-pause-queue'),
+    btnCancelQueue: document.getElementById('btn-cancel-queue'),
+    receiptFileInput: document.getElementById('receipt-file-input'),
+    btnChangeFolder: document.getElementById('btn-change-folder'),
+    watchFolder: document.getElementById('watch-folder'),
     btnPushAll: document.getElementById('btn-push-all'),
     progressCounter: document.getElementById('progress-counter'),
     aiStatus: document.getElementById('ai-status'),
+    aiProvider: document.getElementById('ai-provider'),
+    openAISettings: document.getElementById('openai-settings'),
+    openAIBaseUrl: document.getElementById('openai-base-url'),
+    openAIModel: document.getElementById('openai-model'),
+    openAIKey: document.getElementById('openai-api-key'),
     receiptList: document.getElementById('receipt-list'),
     processedCount: document.getElementById('processed-count'),
+    restoreBanner: document.getElementById('restore-banner'),
+    restoreText: document.getElementById('restore-text'),
+    btnRestoreSession: document.getElementById('btn-restore-session'),
+    btnDiscardSession: document.getElementById('btn-discard-session'),
     toastContainer: document.getElementById('toast-container'),
     // Modal Elements
     modal: document.getElementById('full-view-modal'),
@@ -16,7 +39,64 @@ export const DOM = {
     btnRetryAI: document.getElementById('btn-retry-ai'),
     btnModeCrop: document.getElementById('btn-mode-crop'),
     btnModeRedact: document.getElementById('btn-mode-redact'),
+    pageNav: document.getElementById('page-nav'),
+    pageIndicator: document.getElementById('page-indicator'),
+    btnPrevPage: document.getElementById('btn-prev-page'),
+    btnNextPage: document.getElementById('btn-next-page'),
     btnDeleteRedaction: document.getElementById('btn-delete-redaction'),
     btnClearRedaction: document.getElementById('btn-clear-redaction'),
-    redactionsContainer: document.getElementById('redactions-container')
+    redactionsContainer: document.getElementById('redactions-container'),
+    // Push Summary Elements
+    pushSummaryModal: document.getElementById('push-summary-modal'),
+    pushSummaryList: document.getElementById('push-summary-list'),
+    btnDismissSummary: document.getElementById('btn-dismiss-summary'),
+    // Payee Alias Elements
+    btnManageAliases: document.getElementById('btn-manage-aliases'),
+    aliasModal: document.getElementById('alias-modal'),
+    aliasList: document.getElementById('alias-list'),
+    aliasForm: document.getElementById('alias-form'),
+    aliasMerchantInput: document.getElementById('alias-merchant'),
+    aliasPayeeInput: document.getElementById('alias-payee'),
+    btnDismissAliases: document.getElementById('btn-dismiss-aliases'),
+    // Merchant Rules Elements
+    btnManageRules: document.getElementById('btn-manage-rules'),
+    rulesModal: document.getElementById('rules-modal'),
+    rulesList: document.getElementById('rules-list'),
+    btnAddRule: document.getElementById('btn-add-rule'),
+    btnExportRules: document.getElementById('btn-export-rules'),
+    rulesImportInput: document.getElementById('rules-import-input'),
+    btnDismissRules: document.getElementById('btn-dismiss-rules'),
+    // Exchange Rate Elements
+    btnManageRates: document.getElementById('btn-manage-rates'),
+    ratesModal: document.getElementById('rates-modal'),
+    ratesList: document.getElementById('rates-list'),
+    rateForm: document.getElementById('rate-form'),
+    rateFromInput: document.getElementById('rate-from'),
+    rateToInput: document.getElementById('rate-to'),
+    rateValueInput: document.getElementById('rate-value'),
+    btnDismissRates: document.getElementById('btn-dismiss-rates'),
+    btnManageAccountDefaults: document.getElementById('btn-manage-account-defaults'),
+    accountDefaultsModal: document.getElementById('account-defaults-modal'),
+    accountDefaultsList: document.getElementById('account-defaults-list'),
+    btnDismissAccountDefaults: document.getElementById('btn-dismiss-account-defaults'),
+    btnManageFolderDefaults: document.getElementById('btn-manage-folder-defaults'),
+    folderDefaultsModal: document.getElementById('folder-defaults-modal'),
+    folderDefaultsList: document.getElementById('folder-defaults-list'),
+    folderDefaultForm: document.getElementById('folder-default-form'),
+    folderPathInput: document.getElementById('folder-path'),
+    folderAccountInput: document.getElementById('folder-account'),
+    folderCategoryInput: document.getElementById('folder-category'),
+    folderFlagInput: document.getElementById('folder-flag'),
+    folderList: document.getElementById('folder-list'),
+    btnDismissFolderDefaults: document.getElementById('btn-dismiss-folder-defaults'),
+    btnHistory: document.getElementById('btn-history'),
+    historyModal: document.getElementById('history-modal'),
+    historyList: document.getElementById('history-list'),
+    btnDismissHistory: document.getElementById('btn-dismiss-history'),
+    btnRequestLog: document.getElementById('btn-request-log'),
+    requestLogModal: document.getElementById('request-log-modal'),
+    requestLogList: document.getElementById('request-log-list'),
+    requestLogRemaining: document.getElementById('request-log-remaining'),
+    btnClearRequestLog: document.getElementById('btn-clear-request-log'),
+    btnDismissRequestLog: document.getElementById('btn-dismiss-request-log')
 };
@@ -0,0 +1,49 @@
+// Fuzzy matching of prepared transactions against transactions already in YNAB
+// (e.g. imported by the bank feed) so likely duplicates can be flagged before pushing.
+import { merchantSimilarity } from './payees.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Same amount on the same day is common (a second coffee); the payee has to look alike too
+const MIN_PAYEE_SCORE = 0.4;
+
+export function shiftDate(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(a, b) {
+    return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / DAY_MS;
+}
+
+/**
+ * Returns the best matching existing transaction, or null.
+ * Amounts must match exactly and payees must be at least MIN_PAYEE_SCORE alike;
+ * date proximity and payee similarity are then weighted equally.
+ * `payeeName` is the receipt's payee when the transaction only carries a payee_id.
+ */
+export function findDuplicateMatch(transaction, existingTransactions, toleranceDays, { payeeName = transaction.payee_name, threshold = 0.5 } = {}) {
+    let best = null;
+
+    existingTransactions.forEach(existing => {
+        if (existing.deleted || existing.amount !== transaction.amount) return;
+        // Our own earlier pushes are already handled by import_id
+        if (transaction.import_id && existing.import_id === transaction.import_id) return;
+
+        const dayDiff = daysBetween(existing.date, transaction.date);
+        if (dayDiff > toleranceDays) return;
+
+        const dateScore = 1 - dayDiff / (toleranceDays + 1);
+        const payeeScore = transaction.payee_id && transaction.payee_id === existing.payee_id
+            ? 1
+            : merchantSimilarity(payeeName, existing.payee_name);
+        if (payeeScore < MIN_PAYEE_SCORE) return;
+        const score = (dateScore + payeeScore) / 2;
+
+        if (score >= threshold && (!best || score > best.score)) {
+            best = { transaction: existing, score };
+        }
+    });
+
+    return best;
+}
@@ -0,0 +1,77 @@
+// Management dialog for the user-maintained exchange-rate table
+import { DOM } from './dom.js';
+import { showToast } from './ui.js';
+import { getExchangeRates, setExchangeRate, removeExchangeRate, getBudgetCurrency } from './config.js';
+import { normalizeCurrency, DEFAULT_CURRENCY } from './currency.js';
+
+export function openRatesManager() {
+    DOM.rateToInput.value = getBudgetCurrency(DOM.budgetId.value) || DEFAULT_CURRENCY;
+    renderRatesList();
+    DOM.ratesModal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+export function closeRatesManager() {
+    DOM.ratesModal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
+
+function renderRatesList() {
+    const list = DOM.ratesList;
+    list.innerHTML = '';
+
+    const entries = Object.entries(getExchangeRates());
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="alias-empty">No exchange rates yet.</li>';
+        return;
+    }
+
+    entries.forEach(([pair, rate]) => {
+        const [from, to] = pair.split('/');
+        const item = document.createElement('li');
+        item.className = 'alias-item';
+        item.innerHTML = `
+            <span class="alias-merchant"></span>
+            <span class="alias-arrow">=</span>
+            <input type="number" step="any" min="0" class="edit-input rate-input">
+            <button class="btn-icon btn-delete-rate" title="Delete rate">🗑️</button>
+        `;
+        item.querySelector('.alias-merchant').textContent = `1 ${from} (in ${to})`;
+        const input = item.querySelector('.rate-input');
+        input.value = rate;
+
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (!(value > 0)) {
+                showToast('Rate must be a positive number', 'warning');
+                input.value = rate;
+                return;
+            }
+            setExchangeRate(from, to, value);
+        });
+
+        item.querySelector('.btn-delete-rate').addEventListener('click', () => {
+            removeExchangeRate(pair);
+            renderRatesList();
+        });
+
+        list.appendChild(item);
+    });
+}
+
+export function handleAddRate(e) {
+    e.preventDefault();
+    const from = normalizeCurrency(DOM.rateFromInput.value);
+    const to = normalizeCurrency(DOM.rateToInput.value);
+    const rate = parseFloat(DOM.rateValueInput.value);
+
+    if (!from || !to || from === to || !(rate > 0)) {
+        showToast('Enter two different currency codes and a positive rate', 'warning');
+        return;
+    }
+
+    setExchangeRate(from, to, rate);
+    DOM.rateFromInput.value = '';
+    DOM.rateValueInput.value = '';
+    renderRatesList();
+}
@@ -0,0 +1,87 @@
+// Management dialog for subfolder defaults, e.g. credit-card/ -> Visa account, work/ -> Reimbursable + purple flag
+import { DOM } from './dom.js';
+import { showToast, fillAccountSelect, fillFlagSelect } from './ui.js';
+import { getFolderDefaults, setFolderDefault, removeFolderDefault, normalizeFolderPath } from './config.js';
+import { getCachedAccounts } from './ynab.js';
+
+export function openFolderDefaultsManager() {
+    if (!DOM.budgetId.value) {
+        showToast('Select a budget first', 'info');
+        return;
+    }
+    const accounts = getCachedAccounts(DOM.budgetId.value);
+    fillAccountSelect(DOM.folderAccountInput, accounts, '', 'Any account');
+    fillFlagSelect(DOM.folderFlagInput);
+    renderFolderDefaultsList();
+    DOM.folderDefaultsModal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+export function closeFolderDefaultsManager() {
+    DOM.folderDefaultsModal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
+
+function renderFolderDefaultsList() {
+    const budgetId = DOM.budgetId.value;
+    const accounts = getCachedAccounts(budgetId);
+    const list = DOM.folderDefaultsList;
+    list.innerHTML = '';
+
+    const entries = Object.entries(getFolderDefaults(budgetId));
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="alias-empty">No folder mappings yet.</li>';
+        return;
+    }
+
+    entries.forEach(([path, defaults]) => {
+        const item = document.createElement('li');
+        item.className = 'folder-default-item';
+        item.innerHTML = `
+            <span class="folder-path"></span>
+            <select class="edit-input folder-account"></select>
+            <input type="text" class="edit-input folder-category" placeholder="Category" list="ynab-category-list">
+            <select class="edit-input folder-flag"></select>
+            <button class="btn-icon btn-delete-folder-default" title="Delete mapping">🗑️</button>
+        `;
+        item.querySelector('.folder-path').textContent = `${path}/`;
+        fillAccountSelect(item.querySelector('.folder-account'), accounts, defaults.accountId || '', 'Any account');
+        item.querySelector('.folder-category').value = defaults.categoryName || '';
+        fillFlagSelect(item.querySelector('.folder-flag'), defaults.flagColor || '');
+
+        item.addEventListener('change', () => {
+            setFolderDefault(budgetId, path, {
+                accountId: item.querySelector('.folder-account').value || null,
+                categoryName: item.querySelector('.folder-category').value.trim() || null,
+                flagColor: item.querySelector('.folder-flag').value || null
+            });
+        });
+
+        item.querySelector('.btn-delete-folder-default').addEventListener('click', () => {
+            removeFolderDefault(budgetId, path);
+            renderFolderDefaultsList();
+        });
+
+        list.appendChild(item);
+    });
+}
+
+export function handleAddFolderDefault(e) {
+    e.preventDefault();
+    const path = normalizeFolderPath(DOM.folderPathInput.value);
+    const accountId = DOM.folderAccountInput.value || null;
+    const categoryName = DOM.folderCategoryInput.value.trim() || null;
+    const flagColor = DOM.folderFlagInput.value || null;
+
+    if (!path || !(accountId || categoryName || flagColor)) {
+        showToast('Enter a subfolder and at least one default', 'warning');
+        return;
+    }
+
+    setFolderDefault(DOM.budgetId.value, path, { accountId, categoryName, flagColor });
+    DOM.folderPathInput.value = '';
+    DOM.folderCategoryInput.value = '';
+    DOM.folderAccountInput.value = '';
+    DOM.folderFlagInput.value = '';
+    renderFolderDefaultsList();
+}
@@ -0,0 +1,9 @@
+// Content hashing for receipt files.
+// A hash of the raw file bytes identifies a receipt independently of its file name.
+export async function hashFile(file) {
+    const buffer = await file.arrayBuffer();
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
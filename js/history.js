@@ -0,0 +1,78 @@
+// History dialog over the receipt ledger: what was pushed, found in YNAB or dismissed, with un-mark
+import { DOM } from './dom.js';
+import { showToast } from './ui.js';
+import { getLedgerHistory, unmarkLedgerEntry } from './ledger.js';
+import { formatMoney } from './currency.js';
+
+const STATUS_LABELS = {
+    pushed: '✅ Pushed',
+    'in-ynab': '🔁 In YNAB',
+    dismissed: '🗑️ Dismissed',
+    processed: '✔️ Processed'
+};
+
+export async function openHistory() {
+    try {
+        await renderHistoryList();
+    } catch (err) {
+        showToast('Could not load history: ' + err.message, 'error');
+        return;
+    }
+    DOM.historyModal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+export function closeHistory() {
+    DOM.historyModal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
+
+async function renderHistoryList() {
+    const entries = await getLedgerHistory();
+    const list = DOM.historyList;
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="alias-empty">No receipts processed yet.</li>';
+        return;
+    }
+
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.innerHTML = `
+            <span class="history-date"></span>
+            <span class="history-file"></span>
+            <span class="history-status"></span>
+            <span class="history-details"></span>
+            <button class="btn btn-small btn-unmark" title="Pick this receipt up again on the next scan">Un-mark</button>
+        `;
+        item.querySelector('.history-date').textContent = new Date(entry.processedAt).toLocaleString();
+        item.querySelector('.history-file').textContent = entry.folder ? `${entry.folder}/${entry.fileName}` : entry.fileName;
+        item.querySelector('.history-status').textContent = STATUS_LABELS[entry.status] || entry.status;
+        item.querySelector('.history-details').textContent = [
+            entry.merchant,
+            entry.date,
+            entry.total ? formatMoney(entry.kind === 'refund' ? -entry.total : entry.total, entry.currency) : '',
+            entry.categoryName,
+            entry.archivedAs ? `→ ${entry.archivedAs}` : '',
+            entry.archiveProblem ? `⚠️ not moved: ${entry.archiveProblem}` : ''
+        ].filter(Boolean).join(' · ');
+        if (entry.transactionId) item.title = `YNAB transaction ${entry.transactionId}`;
+
+        item.querySelector('.btn-unmark').addEventListener('click', async () => {
+            try {
+                await unmarkLedgerEntry(entry.fileHash);
+            } catch (err) {
+                showToast('Could not un-mark: ' + err.message, 'error');
+                return;
+            }
+            item.remove();
+            showToast(entry.archivedAs
+                ? `Move ${entry.archivedAs} back into the receipt folder to process it again`
+                : `${entry.fileName} will be picked up on the next scan`, 'info');
+        });
+
+        list.appendChild(item);
+    });
+}
@@ -0,0 +1,93 @@
+// Ways to add receipts besides the folder: drag-and-drop onto the list, the file picker,
+// pasting from the clipboard and the Web Share Target (see sw.js and manifest.webmanifest).
+// Every path hands plain File objects to the same callback.
+import { DOM } from './dom.js';
+import { CONFIG } from './config.js';
+import { showToast } from './ui.js';
+
+export function isReceiptFile(filename) {
+    return /\.(jpe?g|png|webp|pdf)$/i.test(filename);
+}
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf'
+};
+
+export function setupIntake(onFiles) {
+    const deliver = (files, source) => {
+        const receipts = files.map(nameUnnamedFile).filter(file => isReceiptFile(file.name));
+        if (receipts.length < files.length) {
+            showToast(`Skipped ${files.length - receipts.length} files that are not images or PDFs`, 'info');
+        }
+        if (receipts.length > 0) onFiles(receipts, source);
+    };
+
+    // Drag-and-drop onto the receipt list
+    DOM.receiptList.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        DOM.receiptList.classList.add('drop-target');
+    });
+    DOM.receiptList.addEventListener('dragleave', (e) => {
+        if (!DOM.receiptList.contains(e.relatedTarget)) DOM.receiptList.classList.remove('drop-target');
+    });
+    DOM.receiptList.addEventListener('drop', (e) => {
+        e.preventDefault();
+        DOM.receiptList.classList.remove('drop-target');
+        deliver([...e.dataTransfer.files], 'drop');
+    });
+
+    // File picker
+    DOM.receiptFileInput.addEventListener('change', () => {
+        deliver([...DOM.receiptFileInput.files], 'picker');
+        DOM.receiptFileInput.value = ''; // Allow picking the same file again
+    });
+
+    // Clipboard: a screenshot pasted anywhere on the page
+    document.addEventListener('paste', (e) => {
+        const files = [...e.clipboardData.files];
+        if (files.length === 0) return;
+        e.preventDefault();
+        deliver(files.map(file => renamePasted(file)), 'paste');
+    });
+}
+
+/**
+ * Files shared to the installed app arrive through the service worker, which parks them
+ * in a cache and redirects here with ?share-target. Returns them once and clears the cache.
+ */
+export async function takeSharedFiles() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('share-target') || !('caches' in window)) return [];
+
+    // Drop the marker so a reload doesn't look for the same share again
+    history.replaceState(null, '', location.pathname);
+
+    const cache = await caches.open(CONFIG.shareCacheName);
+    const files = [];
+    for (const request of await cache.keys()) {
+        const response = await cache.match(request);
+        const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared');
+        const blob = await response.blob();
+        files.push(nameUnnamedFile(new File([blob], name, { type: blob.type, lastModified: Date.now() })));
+        await cache.delete(request);
+    }
+    return files.filter(file => isReceiptFile(file.name));
+}
+
+// Clipboard images are all called "image.png"; give each paste its own name
+function renamePasted(file) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    const extension = MIME_EXTENSIONS[file.type] || file.name.split('.').pop();
+    return new File([file], `pasted-${stamp}.${extension}`, { type: file.type, lastModified: file.lastModified });
+}
+
+// Shared and pasted files may lack an extension; derive one from the MIME type
+function nameUnnamedFile(file) {
+    if (isReceiptFile(file.name) || !MIME_EXTENSIONS[file.type]) return file;
+    return new File([file], `${file.name || 'receipt'}.${MIME_EXTENSIONS[file.type]}`, { type: file.type, lastModified: file.lastModified });
+}
@@ -0,0 +1,39 @@
+// Japanese qualified-invoice (適格請求書) helpers: registration number validation and tax breakdown
+
+// "Ｔ１２３４-５６７８..." -> "T1234567890123"
+export function normalizeRegistrationNumber(value) {
+    return (value || '').normalize('NFKC').toUpperCase().replace(/[\s\-‐－]/g, '');
+}
+
+// Check digit of a 13-digit 法人番号: 9 - (Σ Pn × Qn mod 9), where Pn is the n-th digit
+// of the 12-digit base counted from the right and Qn is 1 for odd n, 2 for even n
+export function registrationCheckDigit(base12) {
+    let sum = 0;
+    for (let n = 1; n <= 12; n++) {
+        const digit = Number(base12[12 - n]);
+        sum += digit * (n % 2 === 1 ? 1 : 2);
+    }
+    return 9 - (sum % 9);
+}
+
+/**
+ * Validates a 適格請求書発行事業者登録番号 (T + 13 digits).
+ * Resolves to { valid, normalized, reason } where reason explains an invalid number.
+ */
+export function validateRegistrationNumber(value) {
+    const normalized = normalizeRegistrationNumber(value);
+    if (!normalized) return { valid: false, normalized, reason: 'missing' };
+    if (!/^T\d{13}$/.test(normalized)) return { valid: false, normalized, reason: 'format' };
+
+    const digits = normalized.slice(1);
+    if (Number(digits[0]) !== registrationCheckDigit(digits.slice(1))) {
+        return { valid: false, normalized, reason: 'checksum' };
+    }
+    return { valid: true, normalized, reason: null };
+}
+
+export const REGISTRATION_WARNINGS = {
+    missing: 'No qualified-invoice registration number (登録番号) found',
+    format: 'Registration number must be "T" followed by 13 digits',
+    checksum: 'Registration number check digit does not match'
+};
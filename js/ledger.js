@@ -0,0 +1,98 @@
+// Local record of every receipt that was pushed, found already in YNAB or dismissed,
+// keyed by the receipt file's content hash so renamed or same-named files are told apart
+import { dbGetAll, dbPut, dbDelete } from './db.js';
+import { CONFIG } from './config.js';
+import { merchantSimilarity } from './payees.js';
+import { shiftDate } from './duplicates.js';
+import { toMinorUnits } from './currency.js';
+
+export const RECEIPT_KINDS = ['purchase', 'refund', 'void'];
+
+// pushed: sent by us · in-ynab: YNAB already had it · dismissed: skipped by the user
+// processed: migrated from the old file-name list, outcome unknown
+export const LEDGER_STATUSES = ['pushed', 'in-ynab', 'dismissed', 'processed'];
+
+// In-memory copy so scans can check hashes without a database round trip per file
+const entries = new Map();
+let loadPromise = null;
+
+export function loadLedger() {
+    if (!loadPromise) {
+        loadPromise = dbGetAll('ledger').then(all => {
+            all.forEach(entry => entries.set(entry.fileHash, entry));
+        }).catch(err => {
+            loadPromise = null;
+            throw err;
+        });
+    }
+    return loadPromise;
+}
+
+export function isInLedger(fileHash) {
+    return entries.has(fileHash);
+}
+
+export async function recordLedgerEntry(entry) {
+    if (!entry.fileHash) {
+        console.warn(`No content hash for ${entry.fileName}; it will show up again on the next scan`);
+        return;
+    }
+    const record = { ...entry, processedAt: new Date().toISOString() };
+    entries.set(record.fileHash, record);
+    await dbPut('ledger', record);
+}
+
+export async function updateLedgerEntry(fileHash, patch) {
+    const entry = entries.get(fileHash);
+    if (!entry) return;
+    const record = { ...entry, ...patch };
+    entries.set(fileHash, record);
+    await dbPut('ledger', record);
+}
+
+// Un-marking forgets the receipt entirely, so the next scan picks it up as new
+export async function unmarkLedgerEntry(fileHash) {
+    entries.delete(fileHash);
+    await dbDelete('ledger', fileHash);
+}
+
+export async function getLedgerHistory() {
+    await loadLedger();
+    return [...entries.values()].sort((a, b) => b.processedAt.localeCompare(a.processedAt));
+}
+
+export function getLedgerEntries(budgetId) {
+    return dbGetAll('ledger', 'budgetId', budgetId);
+}
+
+/**
+ * Finds the pushed purchase a refund most likely reverses.
+ * A matching original receipt number wins outright; otherwise the merchant must match,
+ * the purchase must predate the refund and be at least as large. Exact amounts and
+ * more recent purchases rank first.
+ */
+export async function findRefundOriginal(budgetId, refund) {
+    const earliest = shiftDate(refund.date, -CONFIG.refundLookbackDays);
+    const purchases = (await getLedgerEntries(budgetId)).filter(entry =>
+        entry.status === 'pushed' && entry.kind !== 'refund' &&
+        entry.date <= refund.date && entry.date >= earliest);
+
+    if (refund.originalReceiptNo) {
+        const byNumber = purchases.find(entry => entry.receiptNo && entry.receiptNo === refund.originalReceiptNo);
+        if (byNumber) return byNumber;
+    }
+
+    const refundMinor = toMinorUnits(refund.total, refund.currency);
+    const candidates = purchases.filter(entry =>
+        entry.currency === refund.currency &&
+        toMinorUnits(entry.total, entry.currency) >= refundMinor &&
+        merchantSimilarity(entry.merchant, refund.merchant) >= CONFIG.payeeMatchThreshold);
+
+    candidates.sort((a, b) => {
+        const exactA = toMinorUnits(a.total, a.currency) === refundMinor;
+        const exactB = toMinorUnits(b.total, b.currency) === refundMinor;
+        if (exactA !== exactB) return exactA ? -1 : 1;
+        return b.date.localeCompare(a.date);
+    });
+    return candidates[0] || null;
+}
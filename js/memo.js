@@ -0,0 +1,19 @@
+// Memo templates: "{placeholder}" tokens filled from the receipt card
+export const MEMO_MAX_LENGTH = 200; // YNAB rejects longer memos
+
+export function fillMemoTemplate(template, values) {
+    return (template || '')
+        .replace(/\{(\w+)\}/g, (token, key) => {
+            const value = values[key];
+            return value === undefined || value === null ? '' : String(value);
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Cuts on code points so a surrogate pair (emoji, rare kanji) is never split in half
+export function truncateMemo(memo, maxLength = MEMO_MAX_LENGTH) {
+    const chars = Array.from(memo || '');
+    if (chars.length <= maxLength) return chars.join('');
+    return chars.slice(0, maxLength - 1).join('').trimEnd() + '…';
+}
@@ -9,6 +9,9 @@ let currentRedactions = [];
 let interactionType = null; // 'crop-move', 'crop-resize', 'redaction-move', 'redaction-resize', 'draw-redaction'
 let activeHandle = null;
 let selectedRedactionIndex = -1;
+// Page images of the receipt in the modal (one unless it came from a multi-page PDF)
+let modalPages = [];
+let modalPageIndex = 0;
 
 // --- Modal & Interaction Setup ---
 
@@ -279,6 +282,37 @@ export function getActiveRedactionCard() {
     return activeRedactionCard;
 }
 
+// --- Pages ---
+
+export function setModalPages(urls) {
+    modalPages = urls;
+    modalPageIndex = 0;
+    updatePageNav();
+}
+
+// Crop and redactions belong to the first page, the one sent to the AI as the receipt image
+export function isFirstModalPage() {
+    return modalPageIndex === 0;
+}
+
+export function showModalPage(step) {
+    const index = modalPageIndex + step;
+    if (index < 0 || index >= modalPages.length) return;
+
+    modalPageIndex = index;
+    updatePageNav();
+    DOM.modalImg.classList.remove('zoomed');
+    DOM.modalImg.src = modalPages[index];
+}
+
+function updatePageNav() {
+    DOM.pageNav.hidden = modalPages.length < 2;
+    DOM.pageIndicator.textContent = `${modalPageIndex + 1} / ${modalPages.length}`;
+    DOM.btnPrevPage.disabled = modalPageIndex === 0;
+    DOM.btnNextPage.disabled = modalPageIndex === modalPages.length - 1;
+    DOM.modal.classList.toggle('later-page', modalPageIndex > 0);
+}
+
 export function updateModalToolbar() {
     const modal = document.getElementById('full-view-modal');
     const isRedactMode = modal.classList.contains('redact-mode');
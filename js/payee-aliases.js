@@ -0,0 +1,87 @@
+// Management dialog for the merchant -> payee alias table
+import { DOM } from './dom.js';
+import { showToast } from './ui.js';
+import { getPayeeAliases, setPayeeAlias, removePayeeAlias } from './config.js';
+import { getCachedPayees } from './ynab.js';
+import { normalizeMerchant } from './payees.js';
+
+export function openAliasManager() {
+    if (!DOM.budgetId.value) {
+        showToast('Select a budget first', 'info');
+        return;
+    }
+    renderAliasList();
+    DOM.aliasModal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+export function closeAliasManager() {
+    DOM.aliasModal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
+
+function renderAliasList() {
+    const budgetId = DOM.budgetId.value;
+    const aliases = getPayeeAliases(budgetId);
+    const list = DOM.aliasList;
+    list.innerHTML = '';
+
+    const entries = Object.entries(aliases);
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="alias-empty">No aliases yet. Use 📌 on a card or add one below.</li>';
+        return;
+    }
+
+    entries.forEach(([key, alias]) => {
+        const item = document.createElement('li');
+        item.className = 'alias-item';
+        item.innerHTML = `
+            <span class="alias-merchant"></span>
+            <span class="alias-arrow">→</span>
+            <input type="text" class="edit-input alias-payee-input" list="ynab-payee-list">
+            <button class="btn-icon btn-delete-alias" title="Delete alias">🗑️</button>
+        `;
+        item.querySelector('.alias-merchant').textContent = alias.merchant;
+        const input = item.querySelector('.alias-payee-input');
+        input.value = alias.payeeName;
+
+        input.addEventListener('change', () => {
+            const payee = findPayee(budgetId, input.value);
+            if (!payee) {
+                showToast('Pick an existing YNAB payee', 'warning');
+                input.value = alias.payeeName;
+                return;
+            }
+            setPayeeAlias(budgetId, key, { ...alias, payeeId: payee.id, payeeName: payee.name });
+        });
+
+        item.querySelector('.btn-delete-alias').addEventListener('click', () => {
+            removePayeeAlias(budgetId, key);
+            renderAliasList();
+        });
+
+        list.appendChild(item);
+    });
+}
+
+function findPayee(budgetId, name) {
+    const wanted = name.trim().toLowerCase();
+    return getCachedPayees(budgetId).find(p => p.name.toLowerCase() === wanted);
+}
+
+export function handleAddAlias(e) {
+    e.preventDefault();
+    const budgetId = DOM.budgetId.value;
+    const merchant = DOM.aliasMerchantInput.value.trim();
+    const payee = findPayee(budgetId, DOM.aliasPayeeInput.value);
+
+    if (!merchant || !payee) {
+        showToast('Enter a merchant and an existing YNAB payee', 'warning');
+        return;
+    }
+
+    setPayeeAlias(budgetId, normalizeMerchant(merchant), { merchant, payeeId: payee.id, payeeName: payee.name });
+    DOM.aliasMerchantInput.value = '';
+    DOM.aliasPayeeInput.value = '';
+    renderAliasList();
+}
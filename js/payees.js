@@ -0,0 +1,219 @@
+// Resolves receipt merchant strings to existing YNAB payees so the budget doesn't
+// collect spelling variants ("セブン-イレブン 渋谷店", "7-ELEVEN", ...).
+import { CONFIG } from './config.js';
+
+const CORPORATE_FORMS = /株式会社|有限会社|合同会社|\(株\)|\(有\)|\b(inc|co|ltd|llc|corp|corporation|company)\b\.?/g;
+// "Apple Store" and "ABC Store" are names, not branches, so English "store" is not one of these
+const BRANCH_SUFFIX = /(店|支店|本店|営業所|号店|branch)$/;
+// One name found inside the other ("Uber" in "Uber Eats") hints at a match but never decides it:
+// both scores stay below CONFIG.payeeMatchThreshold
+const PREFIX_SCORE = 0.75;
+const CONTAINED_SCORE = 0.7;
+// ...and only counts when the shorter name is at least this share of the longer one
+const MIN_CONTAINED_RATIO = 0.5;
+
+const ROMAJI = {
+    あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+    か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+    が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+    さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+    ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+    た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+    だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+    な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+    は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+    ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+    ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+    ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+    や: 'ya', ゆ: 'yu', よ: 'yo',
+    ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+    わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n', ゔ: 'vu',
+    ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o'
+};
+
+const DIGRAPHS = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+
+// Readings of chains whose receipts print the name in kanji; anything else in kanji only matches kanji
+const KANJI_READINGS = {
+    西友: 'seiyu', 無印良品: 'muji', 成城石井: 'seijoishii', 業務: 'gyomu',
+    吉野家: 'yoshinoya', 松屋: 'matsuya', 大戸屋: 'ootoya', 日高屋: 'hidakaya', 王将: 'osho',
+    高島屋: 'takashimaya', 三越: 'mitsukoshi', 伊勢丹: 'isetan', 大丸: 'daimaru', 丸井: 'marui',
+    東急: 'tokyu', 小田急: 'odakyu', 京王: 'keio', 西武: 'seibu', 阪急: 'hankyu', 阪神: 'hanshin',
+    郵便局: 'yubinkyoku', 薬局: 'yakkyoku'
+};
+
+// Digits read the way chains spell them out ("7-ELEVEN" = "セブン-イレブン")
+const DIGIT_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+function katakanaToHiragana(str) {
+    return str.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+}
+
+// Hepburn-ish romanisation of kana; other characters pass through unchanged
+export function toRomaji(str) {
+    const kana = katakanaToHiragana(str);
+    let out = '';
+    for (let i = 0; i < kana.length; i++) {
+        const ch = kana[i];
+        const next = kana[i + 1];
+
+        if (ch === 'っ') {
+            const following = ROMAJI[next];
+            if (following) out += following[0];
+            continue;
+        }
+        if (ch === 'ー') continue; // Long vowel mark
+
+        const base = ROMAJI[ch];
+        if (base && DIGRAPHS[next]) {
+            // きゃ -> kya, しゃ -> sha, ちゃ -> cha
+            const stem = base.endsWith('i') ? base.slice(0, -1) : base;
+            out += (/^(sh|ch|j)$/.test(stem) ? stem : `${stem}y`) + DIGRAPHS[next];
+            i++;
+            continue;
+        }
+        out += base || ch;
+    }
+    return out;
+}
+
+/**
+ * Canonical form used for matching: width/case folded, katakana as hiragana,
+ * corporate forms and the trailing branch name ("渋谷店") removed, punctuation stripped.
+ */
+export function normalizeMerchant(name) {
+    return merchantTokens(name).join('');
+}
+
+// The words of the canonical form, for matches that must respect word boundaries
+function merchantTokens(name) {
+    let str = (name || '').normalize('NFKC').toLowerCase().trim();
+    str = str.replace(CORPORATE_FORMS, ' ').trim();
+
+    // "セブン-イレブン 渋谷店" -> "セブン-イレブン"
+    const tokens = str.split(/\s+/);
+    if (tokens.length > 1 && BRANCH_SUFFIX.test(tokens[tokens.length - 1])) {
+        tokens.pop();
+    }
+
+    return tokens
+        .map(token => katakanaToHiragana(token).replace(/[\-_.,・'"()（）&＆/]/g, ''))
+        .filter(Boolean);
+}
+
+// Romaji form of a normalized name, comparable with names written in Latin letters
+function toComparable(normalized) {
+    let str = normalized;
+    Object.entries(KANJI_READINGS).forEach(([kanji, reading]) => {
+        str = str.replaceAll(kanji, reading);
+    });
+    return toRomaji(str).replace(/\d/g, digit => DIGIT_WORDS[digit]);
+}
+
+/**
+ * Consonant skeleton of a romaji name. Katakana spellings of English names differ from the
+ * English in vowels, l/r, v/b and silent r ("sebunirebun"/"seveneleven", "famirimato"/"familymart"),
+ * which all fold away here.
+ */
+function soundSkeleton(romaji) {
+    return romaji
+        .replace(/([aeiou])r(?=[^aeiou]|$)/g, '$1')
+        .replace(/ck/g, 'k')
+        .replace(/c(?=[eiy])/g, 's')
+        .replace(/c(?!h)|q/g, 'k')
+        .replace(/x/g, 'ks')
+        .replace(/th/g, 's')
+        .replace(/ph/g, 'f')
+        .replace(/l/g, 'r')
+        .replace(/v/g, 'b')
+        .replace(/[aeiouwyh]/g, '')
+        .replace(/(.)\1+/g, '$1');
+}
+
+function diceCoefficient(x, y) {
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+
+    const bigrams = (str) => {
+        const grams = new Map();
+        for (let i = 0; i < str.length - 1; i++) {
+            const gram = str.slice(i, i + 2);
+            grams.set(gram, (grams.get(gram) || 0) + 1);
+        }
+        return grams;
+    };
+
+    const gx = bigrams(x);
+    const gy = bigrams(y);
+    let overlap = 0;
+    gx.forEach((count, gram) => {
+        overlap += Math.min(count, gy.get(gram) || 0);
+    });
+    const total = (x.length - 1) + (y.length - 1);
+    return total > 0 ? (2 * overlap) / total : 0;
+}
+
+// Whole words of one name inside the other: "ろーそん" in "ろーそん しぶや", not "uber" in "ubereats"
+function containment(tokensX, tokensY) {
+    const [shorter, longer] = tokensX.join('').length < tokensY.join('').length ? [tokensX, tokensY] : [tokensY, tokensX];
+    const length = shorter.join('').length;
+    if (length < 3 || length / longer.join('').length < MIN_CONTAINED_RATIO) return 0;
+
+    for (let i = 0; i + shorter.length <= longer.length; i++) {
+        if (shorter.every((token, j) => token === longer[i + j])) return i === 0 ? PREFIX_SCORE : CONTAINED_SCORE;
+    }
+    return 0;
+}
+
+/**
+ * 0..1 similarity of two merchant/payee names, compared as written and in romaji, e.g.
+ * "セブン-イレブン 渋谷店" ≈ "7-ELEVEN", "セブンイレブン" ≈ "Seven Eleven", "西友 渋谷店" ≈ "Seiyu".
+ */
+export function merchantSimilarity(a, b) {
+    const tx = merchantTokens(a);
+    const ty = merchantTokens(b);
+    const x = tx.join('');
+    const y = ty.join('');
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+
+    const rx = toComparable(x);
+    const ry = toComparable(y);
+    if (rx === ry) return 1;
+
+    const sx = soundSkeleton(rx);
+    const sound = sx.length >= 3 && sx === soundSkeleton(ry) ? 0.85 : 0;
+
+    return Math.max(
+        containment(tx, ty),
+        containment(tx.map(toComparable), ty.map(toComparable)),
+        sound,
+        diceCoefficient(x, y),
+        diceCoefficient(rx, ry)
+    );
+}
+
+/**
+ * Finds the YNAB payee for a receipt merchant.
+ * Aliases ({ normalizedMerchant: { payeeId, payeeName } }) win over fuzzy matching.
+ * Resolves to { payee, score, source: 'alias' | 'fuzzy' } or null when nothing is confident.
+ */
+export function matchPayee(merchant, payees, aliases = {}) {
+    const key = normalizeMerchant(merchant);
+    if (!key) return null;
+
+    const alias = aliases[key];
+    if (alias) {
+        const payee = payees.find(p => p.id === alias.payeeId) || { id: alias.payeeId, name: alias.payeeName };
+        return { payee, score: 1, source: 'alias' };
+    }
+
+    let best = null;
+    payees.forEach(payee => {
+        if (payee.transfer_account_id) return; // Transfer payees are never receipt merchants
+        const score = merchantSimilarity(merchant, payee.name);
+        if (!best || score > best.score) best = { payee, score, source: 'fuzzy' };
+    });
+
+    return best && best.score >= CONFIG.payeeMatchThreshold ? best : null;
+}
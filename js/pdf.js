@@ -0,0 +1,66 @@
+import { CONFIG } from './config.js';
+
+// The bundled pdf.js is only loaded the first time a PDF receipt turns up
+let pdfjs = null;
+
+function localUrl(path) {
+    return new URL(path, location.href).href;
+}
+
+async function loadPdfJs() {
+    if (!pdfjs) {
+        const lib = await import(localUrl(CONFIG.pdfjsPath));
+        lib.GlobalWorkerOptions.workerSrc = localUrl(CONFIG.pdfjsWorkerPath);
+        pdfjs = lib;
+    }
+    return pdfjs;
+}
+
+export function isPdf(fileName) {
+    return /\.pdf$/i.test(fileName);
+}
+
+/**
+ * Renders the pages of a PDF receipt to JPEG blobs and collects its text layer.
+ * Only the first CONFIG.pdfMaxPages pages are read; `text` is '' for scanned PDFs without one.
+ * @returns {Promise<{pages: Blob[], text: string, pageCount: number}>}
+ */
+export async function renderPdf(file) {
+    const { getDocument } = await loadPdfJs();
+    const doc = await getDocument({
+        data: new Uint8Array(await file.arrayBuffer()),
+        // Japanese receipts often use non-embedded CJK fonts, which need the character maps
+        cMapUrl: localUrl(CONFIG.pdfjsCMapPath),
+        cMapPacked: true
+    }).promise;
+
+    try {
+        const pages = [];
+        const texts = [];
+        const count = Math.min(doc.numPages, CONFIG.pdfMaxPages);
+
+        for (let number = 1; number <= count; number++) {
+            const page = await doc.getPage(number);
+            const { width, height } = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: CONFIG.pdfRenderSize / Math.max(width, height) });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(viewport.width);
+            canvas.height = Math.round(viewport.height);
+            const ctx = canvas.getContext('2d');
+            // Pages are transparent by default; the whitespace crop expects paper
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: ctx, viewport }).promise;
+            pages.push(await new Promise(r => canvas.toBlob(r, 'image/jpeg', 0.95)));
+
+            const content = await page.getTextContent();
+            texts.push(content.items.map(item => (item.str || '') + (item.hasEOL ? '\n' : '')).join(''));
+            page.cleanup();
+        }
+
+        return { pages, text: texts.join('\n\n').trim(), pageCount: doc.numPages };
+    } finally {
+        doc.destroy();
+    }
+}
@@ -0,0 +1,178 @@
+// Processing queue for receipts: decoding a photo and prompting the model are heavy, so only
+// getQueueConcurrency() receipts are worked on at once. Jobs are keyed by content hash so a
+// receipt is queued only once, and each running job gets an AbortSignal for cancel-all.
+import { DOM } from './dom.js';
+import { getQueueConcurrency } from './config.js';
+
+const STATE_LABELS = {
+    pending: '⏳ Waiting',
+    running: '🪄 Analyzing',
+    done: '✅ Done',
+    failed: '⚠️ Failed'
+};
+
+// { key, label, run(signal), onDrop, state, error, controller }; pending jobs start in array order
+const jobs = [];
+let running = 0;
+let paused = false;
+
+export function setupQueueControls() {
+    DOM.btnPauseQueue.addEventListener('click', () => (paused ? resumeQueue() : pauseQueue()));
+    DOM.btnCancelQueue.addEventListener('click', cancelAllJobs);
+}
+
+/**
+ * Adds a job unless the same key is already waiting or running.
+ * `run` receives an AbortSignal and returns a promise; a rejection marks the job failed
+ * with its message, except an AbortError, which drops the job (it was cancelled).
+ * `onDrop` is called when the user removes or cancels the job before it succeeded.
+ */
+export function enqueueJob(key, label, run, { onDrop = null } = {}) {
+    if (isJobQueued(key)) return false;
+    // A finished or failed earlier attempt is replaced by the new one
+    const index = jobs.findIndex(job => job.key === key);
+    if (index !== -1) jobs.splice(index, 1);
+    jobs.push({ key, label, run, onDrop, state: 'pending', error: null, controller: null });
+    pump();
+    return true;
+}
+
+export function isJobQueued(key) {
+    return jobs.some(job => job.key === key && (job.state === 'pending' || job.state === 'running'));
+}
+
+// "Analyze this next": moves a waiting job to the front of the line
+export function prioritizeJob(key) {
+    const index = jobs.findIndex(job => job.key === key && job.state === 'pending');
+    if (index === -1) return;
+    jobs.unshift(...jobs.splice(index, 1));
+    renderQueue();
+}
+
+export function retryJob(key) {
+    const job = jobs.find(j => j.key === key && j.state === 'failed');
+    if (!job) return;
+    job.state = 'pending';
+    job.error = null;
+    pump();
+}
+
+export function removeJob(key) {
+    const index = jobs.findIndex(job => job.key === key && job.state !== 'running');
+    if (index !== -1) dropJob(index);
+    renderQueue();
+}
+
+function dropJob(index) {
+    const [job] = jobs.splice(index, 1);
+    if (job.state !== 'done') job.onDrop?.();
+}
+
+// Running jobs finish; nothing new starts until resumed
+export function pauseQueue() {
+    paused = true;
+    renderQueue();
+}
+
+export function resumeQueue() {
+    paused = false;
+    pump();
+}
+
+// Drops everything waiting and aborts the receipts being analyzed
+export function cancelAllJobs() {
+    for (let i = jobs.length - 1; i >= 0; i--) {
+        if (jobs[i].state === 'pending') dropJob(i);
+    }
+    jobs.filter(job => job.state === 'running').forEach(job => job.controller.abort());
+    pump();
+}
+
+// Starts waiting jobs up to the concurrency limit
+function pump() {
+    while (!paused && running < getQueueConcurrency()) {
+        const job = jobs.find(j => j.state === 'pending');
+        if (!job) break;
+        startJob(job);
+    }
+
+    // Once everything has gone through without problems the list has nothing left to show
+    if (jobs.every(job => job.state === 'done')) jobs.length = 0;
+    renderQueue();
+}
+
+async function startJob(job) {
+    job.state = 'running';
+    job.controller = new AbortController();
+    running++;
+
+    try {
+        await job.run(job.controller.signal);
+        job.state = 'done';
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            jobs.splice(jobs.indexOf(job), 1);
+        } else {
+            console.error(`Processing failed for ${job.label}:`, err);
+            job.state = 'failed';
+            job.error = err.message;
+        }
+    } finally {
+        job.controller = null;
+        running--;
+        pump();
+    }
+}
+
+function renderQueue() {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+    jobs.forEach(job => counts[job.state]++);
+
+    DOM.queuePanel.hidden = jobs.length === 0;
+    DOM.queueSummary.textContent = [
+        paused ? '⏸️ Paused' : '',
+        counts.running ? `${counts.running} analyzing` : '',
+        counts.pending ? `${counts.pending} waiting` : '',
+        counts.done ? `${counts.done} done` : '',
+        counts.failed ? `${counts.failed} failed` : ''
+    ].filter(Boolean).join(' · ');
+    DOM.btnPauseQueue.textContent = paused ? '▶️ Resume' : '⏸️ Pause';
+    DOM.btnCancelQueue.disabled = counts.pending + counts.running === 0;
+
+    const list = DOM.queueList;
+    list.innerHTML = '';
+    const order = ['running', 'pending', 'failed', 'done'];
+    order.forEach(state => jobs.filter(job => job.state === state).forEach(job => {
+        const item = document.createElement('li');
+        item.className = `queue-item queue-${job.state}`;
+        item.innerHTML = `
+            <span class="queue-file"></span>
+            <span class="queue-state"></span>
+            <span class="queue-actions"></span>
+        `;
+        item.querySelector('.queue-file').textContent = job.label;
+        item.querySelector('.queue-state').textContent = STATE_LABELS[job.state];
+        if (job.error) item.querySelector('.queue-state').title = job.error;
+
+        const actions = item.querySelector('.queue-actions');
+        if (job.state === 'pending') {
+            actions.appendChild(queueButton('Next', 'Analyze this receipt next', () => prioritizeJob(job.key)));
+        }
+        if (job.state === 'failed') {
+            actions.appendChild(queueButton('Retry', job.error, () => retryJob(job.key)));
+        }
+        if (job.state === 'pending' || job.state === 'failed') {
+            actions.appendChild(queueButton('✕', 'Remove from the queue', () => removeJob(job.key)));
+        }
+        list.appendChild(item);
+    }));
+}
+
+function queueButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-small';
+    button.textContent = label;
+    button.title = title || '';
+    button.addEventListener('click', onClick);
+    return button;
+}
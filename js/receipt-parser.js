@@ -0,0 +1,125 @@
+// Rule-based reading of OCR text from Japanese receipts, used when no language model is
+// available. Returns the same shape the AI does: { merchants, dates, amounts, categories, ... }
+// with the most likely candidate first.
+
+// Labels of the amount actually paid, strongest first. 小計 (subtotal) only as a fallback.
+const TOTAL_LABELS = [
+    /(?<!小)合計|総合計/,
+    /お?買上げ?(?:金額|計)|ご?請求(?:金?額)?|お?支払(?:い)?(?:金額|額)|総額|TOTAL/i,
+    /小計|SUBTOTAL/i
+];
+// Lines that carry a total label but not the total: item counts, per-rate breakdowns, change
+const NOT_TOTAL = /点数|\d点|対象|釣|預|ポイント|値引|割引/;
+// Tax lines; 合計 lines often mention tax too (合計(税込)), so those are never excluded by this
+const TAX_LINE = /内税|消費税|税額|\d+%/;
+
+const NOT_MERCHANT = /領収|レシート|receipt|いらっしゃいませ|ありがと|毎度|またのご|TEL|電話|〒|https?:|www\.|登録番号|営業時間|担当|レジ|No\.|合計|小計|点数|返品|返金|現金|預|釣|^[\d\-/:.,¥\\()]+$/i;
+const MERCHANT_HINTS = /店|株式会社|\(株\)|㈱|ストア|マート|薬局|ドラッグ|食堂|商店|屋|カフェ|STORE|MART|SHOP|CAFE/i;
+
+// 和暦 eras as the year before their first year (令和元年 = 2019)
+const ERAS = { '令和': 2018, 'R': 2018, '平成': 1988, 'H': 1988 };
+
+const MAX_AMOUNT = 10000000;
+
+export function parseReceiptText(text) {
+    const lines = (text || '')
+        .normalize('NFKC')
+        .split(/\r?\n/)
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    const compact = lines.map(line => line.replace(/\s+/g, ''));
+    const all = compact.join('\n');
+
+    return {
+        merchants: findMerchants(lines),
+        dates: findDates(all),
+        amounts: findAmounts(compact),
+        categories: [],
+        currency: /[¥円]/.test(all) ? 'JPY' : '',
+        time: findTime(all),
+        registrationNumber: (/T\d{13}/.exec(all) || [''])[0]
+    };
+}
+
+function findAmounts(lines) {
+    const candidates = [];
+    TOTAL_LABELS.forEach(label => {
+        lines.forEach((line, index) => {
+            if (!label.test(line) || NOT_TOTAL.test(line)) return;
+            if (TAX_LINE.test(line) && !TOTAL_LABELS[0].test(line)) return;
+            // The amount is usually at the end of the line, sometimes alone on the next one
+            const amount = lastAmount(line) ?? (lines[index + 1] && !/[^\d¥\\,.\-−△▲円]/.test(lines[index + 1]) ? lastAmount(lines[index + 1]) : null);
+            if (amount !== null) candidates.push(amount);
+        });
+    });
+
+    if (candidates.length > 0) return [...new Set(candidates)].slice(0, 5);
+
+    // No labelled total: the largest amounts marked as yen are the best guess left
+    const marked = lines.flatMap(line => [...line.matchAll(/[¥\\]([\d,]+)|([\d,]+)円/g)])
+        .map(match => toNumber(match[1] || match[2]))
+        .filter(amount => amount !== null)
+        .sort((a, b) => b - a);
+    return [...new Set(marked)].slice(0, 3);
+}
+
+function lastAmount(line) {
+    const matches = [...line.matchAll(/([-−△▲]?)[¥\\]?(\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?円?/g)]
+        // Percentages and times are not amounts
+        .filter(match => !/^[%:]/.test(line.slice(match.index + match[0].length)));
+    if (matches.length === 0) return null;
+
+    const [, sign, digits] = matches[matches.length - 1];
+    const amount = toNumber(digits);
+    if (amount === null) return null;
+    return sign ? -amount : amount;
+}
+
+function toNumber(digits) {
+    const amount = parseInt(String(digits).replace(/,/g, ''), 10);
+    return amount > 0 && amount < MAX_AMOUNT ? amount : null;
+}
+
+function findDates(text) {
+    const dates = [];
+    const add = (year, month, day) => {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return;
+        dates.push(date.toISOString().slice(0, 10));
+    };
+
+    // 西暦: 2024年5月1日, 2024/05/01, 2024-5-1, 2024.05.01
+    for (const m of text.matchAll(/(20\d{2})[年/.\-](\d{1,2})[月/.\-](\d{1,2})/g)) {
+        add(+m[1], +m[2], +m[3]);
+    }
+    // 和暦: 令和6年5月1日, R6.5.1, 平成31年4月30日
+    for (const m of text.matchAll(/(令和|平成|R|H)(元|\d{1,2})[年./](\d{1,2})[月./](\d{1,2})/g)) {
+        add(ERAS[m[1]] + (m[2] === '元' ? 1 : +m[2]), +m[3], +m[4]);
+    }
+    // Two-digit years (24/05/01) last, they are easily confused with other numbers
+    for (const m of text.matchAll(/(?<![\d/.])(\d{2})[/.](\d{1,2})[/.](\d{1,2})(?![\d/.])/g)) {
+        add(2000 + +m[1], +m[2], +m[3]);
+    }
+
+    return [...new Set(dates)].slice(0, 5);
+}
+
+function findTime(text) {
+    for (const m of text.matchAll(/(?<!\d)(\d{1,2})[:時](\d{2})(?!\d)/g)) {
+        if (+m[1] <= 23 && +m[2] <= 59) return `${m[1].padStart(2, '0')}:${m[2]}`;
+    }
+    return '';
+}
+
+// The store name is near the top; skip greetings, headings, addresses and numbers
+function findMerchants(lines) {
+    const candidates = lines.slice(0, 8).filter(line => {
+        const compact = line.replace(/\s+/g, '');
+        return !NOT_MERCHANT.test(compact) &&
+            findDates(compact).length === 0 &&
+            !/[¥\\]\d|\d円/.test(compact) &&
+            compact.replace(/[\d\-/:.,¥\\()*=#]/g, '').length >= 2;
+    });
+    const hinted = candidates.filter(line => MERCHANT_HINTS.test(line));
+    return [...new Set([...hinted, ...candidates])].slice(0, 3);
+}
@@ -0,0 +1,52 @@
+// Request log dialog: the recent YNAB API calls from ynab-client.js, for when a sync goes wrong
+import { DOM } from './dom.js';
+import { getRequestLog, clearRequestLog, getRemainingRequests } from './ynab-client.js';
+
+export function openRequestLog() {
+    renderRequestLog();
+    DOM.requestLogModal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+export function closeRequestLog() {
+    DOM.requestLogModal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
+
+export function handleClearRequestLog() {
+    clearRequestLog();
+    renderRequestLog();
+}
+
+function renderRequestLog() {
+    DOM.requestLogRemaining.textContent = `${getRemainingRequests()} of 200 requests left this hour.`;
+
+    const list = DOM.requestLogList;
+    list.innerHTML = '';
+    const entries = getRequestLog().reverse(); // Newest first
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="alias-empty">No YNAB requests yet.</li>';
+        return;
+    }
+
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `request-item${entry.error ? ' failed' : ''}`;
+        item.innerHTML = `
+            <span class="request-time"></span>
+            <span class="request-path"></span>
+            <span class="request-status"></span>
+            <span class="request-details"></span>
+        `;
+        item.querySelector('.request-time').textContent = new Date(entry.time).toLocaleTimeString();
+        item.querySelector('.request-path').textContent = `${entry.method} ${entry.path}`;
+        item.querySelector('.request-status').textContent = entry.status === null ? 'no response' : String(entry.status);
+        item.querySelector('.request-details').textContent = [
+            `${entry.durationMs} ms`,
+            entry.attempt > 0 ? `retry ${entry.attempt}` : '',
+            entry.error
+        ].filter(Boolean).join(' · ');
+        item.title = item.querySelector('.request-details').textContent;
+        list.appendChild(item);
+    });
+}
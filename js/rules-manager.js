@@ -0,0 +1,130 @@
+// Management dialog for merchant rules: view, edit, delete, import and export
+import { DOM } from './dom.js';
+import { showToast, fillAccountSelect, fillFlagSelect } from './ui.js';
+import { getRules, saveRule, deleteRule, exportRules, importRules, MATCH_TYPES } from './rules.js';
+import { getCachedAccounts } from './ynab.js';
+
+// Flag select value for a rule that leaves the card's flag alone (stored as null)
+const KEEP_FLAG = 'keep';
+
+export async function openRulesManager() {
+    if (!DOM.budgetId.value) {
+        showToast('Select a budget first', 'info');
+        return;
+    }
+    await renderRulesList();
+    DOM.rulesModal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+export function closeRulesManager() {
+    DOM.rulesModal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
+
+async function renderRulesList() {
+    const budgetId = DOM.budgetId.value;
+    const rules = await getRules(budgetId);
+    const accounts = getCachedAccounts(budgetId);
+    const list = DOM.rulesList;
+    list.innerHTML = '';
+
+    if (rules.length === 0) {
+        list.innerHTML = '<li class="alias-empty">No rules yet. Rules are learned when you push receipts.</li>';
+        return;
+    }
+
+    rules.forEach(rule => {
+        const item = document.createElement('li');
+        item.className = 'rule-item';
+        item.innerHTML = `
+            <select class="edit-input rule-match-type"></select>
+            <input type="text" class="edit-input rule-pattern" placeholder="Merchant pattern">
+            <input type="text" class="edit-input rule-payee" placeholder="Payee" list="ynab-payee-list">
+            <input type="text" class="edit-input rule-category" placeholder="Category" list="ynab-category-list">
+            <select class="edit-input rule-account"></select>
+            <select class="edit-input rule-flag"></select>
+            <button class="btn-icon btn-delete-rule" title="Delete rule">🗑️</button>
+        `;
+
+        const matchType = item.querySelector('.rule-match-type');
+        MATCH_TYPES.forEach(type => matchType.appendChild(new Option(type, type)));
+        matchType.value = rule.matchType;
+        item.querySelector('.rule-pattern').value = rule.pattern || '';
+        item.querySelector('.rule-payee').value = rule.payeeName || '';
+        item.querySelector('.rule-category').value = rule.categoryName || '';
+        fillAccountSelect(item.querySelector('.rule-account'), accounts, rule.accountId || '', 'Any account');
+        const flagSelect = item.querySelector('.rule-flag');
+        fillFlagSelect(flagSelect);
+        flagSelect.prepend(new Option("Don't change flag", KEEP_FLAG));
+        flagSelect.value = rule.flagColor ?? KEEP_FLAG;
+        item.title = `Used ${rule.hits || 0} times`;
+
+        item.addEventListener('change', async () => {
+            const pattern = item.querySelector('.rule-pattern').value.trim();
+            if (matchType.value === 'regex' && !isValidRegex(pattern)) {
+                showToast('Invalid regular expression', 'error');
+                return;
+            }
+            const payeeName = item.querySelector('.rule-payee').value.trim();
+            const saved = await saveRule({
+                ...rule,
+                matchType: matchType.value,
+                pattern,
+                // A renamed payee is matched by name at push time
+                payeeId: payeeName === rule.payeeName ? rule.payeeId : null,
+                payeeName: payeeName || null,
+                categoryName: item.querySelector('.rule-category').value.trim() || null,
+                accountId: item.querySelector('.rule-account').value || null,
+                flagColor: flagSelect.value === KEEP_FLAG ? null : flagSelect.value
+            });
+            Object.assign(rule, saved);
+        });
+
+        item.querySelector('.btn-delete-rule').addEventListener('click', async () => {
+            await deleteRule(rule.id);
+            await renderRulesList();
+        });
+
+        list.appendChild(item);
+    });
+}
+
+function isValidRegex(pattern) {
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+export async function handleAddRule() {
+    await saveRule({ budgetId: DOM.budgetId.value, matchType: 'contains', pattern: '', flagColor: null, hits: 0 });
+    await renderRulesList();
+}
+
+export async function handleExportRules() {
+    const rules = await getRules(DOM.budgetId.value);
+    const blob = new Blob([exportRules(rules)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'ynab-receipt-rules.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+export async function handleImportRules(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const count = await importRules(DOM.budgetId.value, await file.text());
+        showToast(`Imported ${count} rules`, 'success');
+        await renderRulesList();
+    } catch (err) {
+        console.error('Rule import failed:', err);
+        showToast(`Import failed: ${err.message}`, 'error');
+    }
+}
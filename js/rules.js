@@ -0,0 +1,92 @@
+// Merchant rules: remembered payee/category/account/flag choices, stored in IndexedDB.
+// Rules are learned from successful pushes and can be edited in the rules manager.
+import { dbGetAll, dbPut, dbDelete } from './db.js';
+import { normalizeMerchant } from './payees.js';
+
+const STORE = 'rules';
+export const MATCH_TYPES = ['exact', 'contains', 'regex'];
+
+// More specific match types win when several rules match
+const MATCH_PRIORITY = { exact: 0, contains: 1, regex: 2 };
+
+export function getRules(budgetId) {
+    return dbGetAll(STORE, 'budgetId', budgetId);
+}
+
+export async function saveRule(rule) {
+    const id = await dbPut(STORE, { ...rule, updatedAt: new Date().toISOString() });
+    return { ...rule, id };
+}
+
+export function deleteRule(id) {
+    return dbDelete(STORE, id);
+}
+
+export function ruleMatches(rule, merchant) {
+    if (!rule.pattern || !merchant) return false;
+
+    switch (rule.matchType) {
+        case 'exact':
+            return normalizeMerchant(merchant) === normalizeMerchant(rule.pattern);
+        case 'contains':
+            return normalizeMerchant(merchant).includes(normalizeMerchant(rule.pattern));
+        case 'regex':
+            try {
+                return new RegExp(rule.pattern, 'i').test(merchant);
+            } catch (err) {
+                console.warn(`Invalid rule regex "${rule.pattern}":`, err);
+                return false;
+            }
+        default:
+            return false;
+    }
+}
+
+export async function findRule(budgetId, merchant) {
+    if (!budgetId || !merchant) return null;
+
+    const rules = await getRules(budgetId);
+    const matches = rules
+        .filter(rule => ruleMatches(rule, merchant))
+        .sort((a, b) =>
+            MATCH_PRIORITY[a.matchType] - MATCH_PRIORITY[b.matchType] ||
+            (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    return matches[0] || null;
+}
+
+// Records what the user actually pushed for this merchant as an exact-match rule
+export async function learnFromPush(budgetId, merchant, { payeeId, payeeName, categoryName, accountId, flagColor }) {
+    if (!budgetId || !merchant) return;
+
+    const rules = await getRules(budgetId);
+    const existing = rules.find(rule => rule.matchType === 'exact' && ruleMatches(rule, merchant));
+
+    await saveRule({
+        ...(existing || { budgetId, matchType: 'exact', pattern: merchant, hits: 0 }),
+        payeeId: payeeId || null,
+        payeeName: payeeName || null,
+        categoryName: categoryName || null,
+        accountId: accountId || null,
+        // '' is a push without a flag, which the rule repeats; null would leave the flag alone
+        flagColor: flagColor ?? null,
+        hits: ((existing && existing.hits) || 0) + 1
+    });
+}
+
+export function exportRules(rules) {
+    return JSON.stringify(rules.map(({ id, ...rule }) => rule), null, 2);
+}
+
+// Imports rules into a budget; ids are reassigned so imports never overwrite existing rules
+export async function importRules(budgetId, json) {
+    const parsed = JSON.parse(json);
+    if (!Array.isArray(parsed)) throw new Error('Expected a JSON array of rules');
+
+    let count = 0;
+    for (const { id, ...rule } of parsed) {
+        if (!rule.pattern || !MATCH_TYPES.includes(rule.matchType)) continue;
+        await saveRule({ ...rule, budgetId });
+        count++;
+    }
+    return count;
+}
@@ -0,0 +1,53 @@
+// Persists the review queue so a reload restores every card without re-running extraction.
+// One entry per receipt, keyed by content hash: { fileHash, fileName, folder, fileHandle, file, state }
+// (file is only kept for receipts added without a handle: dropped, picked, pasted or shared)
+import { dbGet, dbGetAll, dbPut, dbDelete, dbClear } from './db.js';
+
+const RECEIPT_FOLDER_KEY = 'receiptFolder';
+
+export function getSessionEntries() {
+    return dbGetAll('session');
+}
+
+export function putSessionEntry(entry) {
+    return dbPut('session', { ...entry, savedAt: new Date().toISOString() });
+}
+
+export async function updateSessionEntry(fileHash, patch) {
+    const entry = await dbGet('session', fileHash);
+    if (!entry) return; // Removed (pushed or dismissed) while the save was pending
+    await putSessionEntry({ ...entry, ...patch });
+}
+
+export function deleteSessionEntry(fileHash) {
+    return dbDelete('session', fileHash);
+}
+
+export function clearSession() {
+    return dbClear('session');
+}
+
+export function saveReceiptFolder(handle) {
+    return dbPut('handles', { name: RECEIPT_FOLDER_KEY, handle });
+}
+
+export async function getReceiptFolder() {
+    const record = await dbGet('handles', RECEIPT_FOLDER_KEY);
+    return record ? record.handle : null;
+}
+
+// Handles stored in IndexedDB lose their permission when the page closes.
+// Only ask (request = true) from a user gesture; browsers reject prompts without one.
+export function hasReadPermission(handle, request = false) {
+    return hasPermission(handle, 'read', request);
+}
+
+export function hasWritePermission(handle, request = false) {
+    return hasPermission(handle, 'readwrite', request);
+}
+
+async function hasPermission(handle, mode, request) {
+    const options = { mode };
+    if (await handle.queryPermission(options) === 'granted') return true;
+    return request && await handle.requestPermission(options) === 'granted';
+}
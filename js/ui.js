@@ -1,4 +1,6 @@
 import { DOM } from './dom.js';
+import { FLAG_COLORS, CLEARED_STATES } from './config.js';
+import { formatMoney } from './currency.js';
 
 export function showToast(message, type = 'info', duration = 3000) {
     const toast = document.createElement('div');
@@ -35,7 +37,7 @@ export function updateProgressCounter() {
     DOM.btnPushAll.disabled = analyzed === 0;
 }
 
-export function renderChips(container, values, onSelect) {
+export function renderChips(container, values, onSelect, format = null) {
     container.innerHTML = '';
     // If only one (or no) value, nothing to suggest
     if (!values || values.length <= 1) return;
@@ -47,7 +49,8 @@ export function renderChips(container, values, onSelect) {
 
         // Formatting for display
         let displayVal = val;
-        if (typeof val === 'number') displayVal = `¥${val}`;
+        if (format) displayVal = format(val);
+        else if (typeof val === 'number') displayVal = formatMoney(val);
 
         chip.textContent = displayVal;
         chip.title = `Switch to ${displayVal}`;
@@ -60,3 +63,98 @@ export function renderChips(container, values, onSelect) {
         container.appendChild(chip);
     });
 }
+
+export function fillAccountSelect(select, accounts, selectedId = '', emptyLabel = 'Default account') {
+    select.innerHTML = '';
+    select.appendChild(new Option(emptyLabel, ''));
+    accounts.forEach(a => select.appendChild(new Option(`${a.name} (${a.type})`, a.id)));
+    select.value = accounts.some(a => a.id === selectedId) ? selectedId : '';
+}
+
+export function fillClearedSelect(select, selected = 'cleared') {
+    select.innerHTML = '';
+    CLEARED_STATES.forEach(state => select.appendChild(new Option(state === 'cleared' ? 'Cleared' : 'Uncleared', state)));
+    select.value = selected;
+}
+
+export function fillFlagSelect(select, selected = '') {
+    select.innerHTML = '';
+    FLAG_COLORS.forEach(color => select.appendChild(new Option(color ? `⚑ ${color}` : 'No flag', color)));
+    select.value = selected;
+}
+
+export function setCardStatus(card, message, type = 'info') {
+    const status = card.querySelector('.card-status');
+    if (!status) return;
+
+    if (!message) {
+        status.hidden = true;
+        status.textContent = '';
+        status.className = 'card-status';
+        return;
+    }
+
+    status.hidden = false;
+    status.className = `card-status ${type}`;
+    status.textContent = message;
+}
+
+export function showFieldError(card, field, message) {
+    const input = field && card.querySelector(`.${field}-input, [data-field="${field}"]`);
+    if (!input) {
+        setCardStatus(card, message, 'error');
+        return;
+    }
+
+    input.classList.add('invalid');
+    const group = input.closest('.field-group');
+    let error = group.querySelector('.field-error');
+    if (!error) {
+        error = document.createElement('div');
+        error.className = 'field-error';
+        group.appendChild(error);
+    }
+    error.textContent = message;
+}
+
+export function clearFieldErrors(card) {
+    card.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+    card.querySelectorAll('.field-error').forEach(error => error.remove());
+}
+
+const PUSH_OUTCOME_LABELS = {
+    pushed: '✅ Pushed',
+    duplicate: '♻️ Already in YNAB',
+    held: '⚠️ Possible duplicate',
+    invalid: '✏️ Needs fixing',
+    rejected: '❌ Rejected'
+};
+
+export function showPushSummary(outcomes) {
+    const list = DOM.pushSummaryList;
+    list.innerHTML = '';
+
+    outcomes.forEach(outcome => {
+        const item = document.createElement('li');
+        item.className = `summary-item ${outcome.status}`;
+        item.innerHTML = `
+            <span class="summary-status"></span>
+            <span class="summary-receipt"></span>
+            <span class="summary-detail"></span>
+        `;
+        item.querySelector('.summary-status').textContent = PUSH_OUTCOME_LABELS[outcome.status] || outcome.status;
+        item.querySelector('.summary-receipt').textContent = outcome.merchant
+            ? `${outcome.merchant} (${outcome.fileName})`
+            : outcome.fileName;
+        item.querySelector('.summary-detail').textContent = outcome.detail || '';
+        list.appendChild(item);
+    });
+
+    DOM.pushSummaryModal.style.display = 'block';
+    document.body.classList.add('modal-open');
+}
+
+export function hidePushSummary() {
+    DOM.pushSummaryModal.style.display = 'none';
+    document.body.classList.remove('modal-open');
+}
@@ -0,0 +1,124 @@
+// Confidence scoring for extracted receipt data. Every candidate the AI (or OCR) offered is
+// scored from its rank plus cross-field checks; the best one is used, and a field whose best
+// candidate still scores below CONFIG.lowConfidenceScore is flagged for review.
+import { CONFIG } from './config.js';
+import { toMinorUnits } from './currency.js';
+
+// Each step down the model's candidate list costs this much
+const RANK_STEP = 0.15;
+const PENALTY = {
+    taxMismatch: 0.4,
+    partDisagreement: 0.15,
+    futureDate: 0.5,
+    oldDate: 0.35,
+    unknownCategory: 0.5
+};
+const BONUS = {
+    taxMatch: 0.3,
+    itemsMatch: 0.2
+};
+
+/**
+ * @param data candidates as shown on the card: { amounts, dates (YYYY-MM-DD or ''), categories, tax, items,
+ *        parts }; `parts` holds what each part of a tall receipt read on its own: [{ amounts, dates }]
+ * @param context { currency, categoryNames (null when not synced), today (YYYY-MM-DD) }
+ * @returns {{ amount, date, category }} each { candidates: [{ index, value, score, warnings }] best first,
+ *          confidence, warnings }; `index` points into the input list
+ */
+export function scoreExtraction(data, context) {
+    return {
+        amount: rankField(data.amounts, (value, warnings) => scoreAmount(value, data, context, warnings), 'No total found'),
+        date: rankField(data.dates, (value, warnings) => scoreDate(value, data, context, warnings), 'No date found'),
+        category: rankField(data.categories, (value, warnings) => scoreCategory(value, context, warnings), 'No category suggested')
+    };
+
+    function rankField(values, score, emptyWarning) {
+        const candidates = (values || []).map((value, index) => {
+            const warnings = [];
+            const base = 1 - index * RANK_STEP;
+            return { index, value, score: base + score(value, warnings), warnings };
+        });
+        candidates.sort((a, b) => b.score - a.score);
+
+        const best = candidates[0];
+        if (!best) return { candidates, confidence: 0, warnings: [emptyWarning] };
+        return { candidates, confidence: Math.max(0, Math.min(1, best.score)), warnings: best.warnings };
+    }
+}
+
+export function isLowConfidence(field) {
+    return field.confidence < CONFIG.lowConfidenceScore;
+}
+
+function scoreAmount(value, data, context, warnings) {
+    const amount = Math.abs(Number(value));
+    if (!amount) {
+        warnings.push('no amount');
+        return -1;
+    }
+    const minor = v => toMinorUnits(Math.abs(Number(v) || 0), context.currency);
+    const matches = expected => Math.abs(minor(amount) - expected) <= 1; // Per-rate rounding
+    let score = 0;
+
+    // 内税 receipts print tax-inclusive subtotals per rate, 外税 ones add the tax on top
+    const tax = data.tax || {};
+    const taxable = minor(tax.taxable8) + minor(tax.taxable10);
+    if (taxable > 0) {
+        if (matches(taxable) || matches(taxable + minor(tax.tax8) + minor(tax.tax10))) {
+            score += BONUS.taxMatch;
+        } else {
+            score -= PENALTY.taxMismatch;
+            warnings.push('does not match the subtotals plus tax');
+        }
+    }
+
+    const items = (data.items || []).filter(item => item && typeof item.price === 'number');
+    if (items.length > 1 && matches(items.reduce((sum, item) => sum + toMinorUnits(item.price, context.currency), 0))) {
+        score += BONUS.itemsMatch;
+    }
+
+    score += scorePartAgreement(partReadings(data, 'amounts'), part => part.some(v => minor(v) === minor(amount)), warnings);
+    return score;
+}
+
+function scoreDate(value, data, context, warnings) {
+    if (!value) {
+        warnings.push('not a readable date');
+        return -1;
+    }
+    const agreement = scorePartAgreement(partReadings(data, 'dates'), part => part.includes(value), warnings);
+    if (value > context.today) {
+        warnings.push('is in the future');
+        return agreement - PENALTY.futureDate;
+    }
+    const ageDays = (Date.parse(context.today) - Date.parse(value)) / 86400000;
+    if (ageDays > CONFIG.receiptMaxAgeDays) {
+        warnings.push(`is more than ${CONFIG.receiptMaxAgeDays} days old`);
+        return agreement - PENALTY.oldDate;
+    }
+    return agreement;
+}
+
+// The values each part of a tall receipt read for a field, leaving out parts that read none
+function partReadings(data, key) {
+    return (data.parts || [])
+        .map(part => (part && Array.isArray(part[key]) ? part[key] : []))
+        .filter(values => values.length > 0);
+}
+
+// A value that only some parts of a tall receipt read is a guess one of them got wrong
+function scorePartAgreement(readings, hasValue, warnings) {
+    if (readings.length < 2) return 0;
+    const disagreeing = readings.filter(part => !hasValue(part)).length;
+    if (!disagreeing) return 0;
+    warnings.push(`read differently in ${disagreeing} of the ${readings.length} parts of this tall receipt`);
+    return -PENALTY.partDisagreement;
+}
+
+function scoreCategory(value, context, warnings) {
+    if (!context.categoryNames || context.categoryNames.length === 0) return 0;
+    const known = context.categoryNames.some(name => name.toLowerCase() === String(value).trim().toLowerCase());
+    if (known) return 0;
+    warnings.push(`"${value}" is not a category in this budget`);
+    return -PENALTY.unknownCategory;
+}
@@ -0,0 +1,237 @@
+// Single entry point for every YNAB API call: base URL, auth, error parsing,
+// retries with exponential backoff, rate-limit bookkeeping and a request log.
+import { DOM } from './dom.js';
+import { CONFIG } from './config.js';
+import { showToast } from './ui.js';
+
+const DEFAULT_BASE_URL = 'https://api.ynab.com/v1';
+const RATE_LIMIT = 200; // YNAB allows 200 requests per token per rolling hour
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+// A 429 asking for a longer wait than this fails right away instead of stalling the push
+const MAX_RETRY_WAIT_MS = 60 * 1000;
+// Waits longer than this are announced, so a push doesn't look hung
+const NOTICEABLE_WAIT_MS = 5 * 1000;
+const LOG_SIZE = 100;
+
+// --- Errors ---
+
+export class YNABError extends Error {
+    constructor(message, status = 0, errorId = null) {
+        super(message);
+        this.name = 'YNABError';
+        this.status = status;
+        this.errorId = errorId;
+    }
+}
+
+export class YNABAuthError extends YNABError {
+    constructor(message, errorId) {
+        super(message, 401, errorId);
+        this.name = 'YNABAuthError';
+    }
+}
+
+export class YNABNotFoundError extends YNABError {
+    constructor(message, errorId) {
+        super(message, 404, errorId);
+        this.name = 'YNABNotFoundError';
+    }
+}
+
+export class YNABConflictError extends YNABError {
+    constructor(message, errorId) {
+        super(message, 409, errorId);
+        this.name = 'YNABConflictError';
+    }
+}
+
+export class YNABRateLimitError extends YNABError {
+    constructor(message, retryAfterMs, errorId) {
+        super(message, 429, errorId);
+        this.name = 'YNABRateLimitError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+function createError(status, detail, errorId, retryAfterMs) {
+    switch (status) {
+        case 401: return new YNABAuthError(detail || 'YNAB rejected the access token', errorId);
+        case 404: return new YNABNotFoundError(detail || 'YNAB resource not found', errorId);
+        case 409: return new YNABConflictError(detail || 'Conflicts with an existing YNAB resource', errorId);
+        case 429: return new YNABRateLimitError(detail || 'YNAB rate limit reached', retryAfterMs, errorId);
+        default: return new YNABError(detail || `YNAB API error (${status})`, status, errorId);
+    }
+}
+
+// --- Configuration ---
+
+export function getBaseURL() {
+    const custom = (localStorage.getItem(CONFIG.ynabBaseUrlPath) || '').trim();
+    return (custom || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+export function setBaseURL(url) {
+    if (url && url.trim()) {
+        localStorage.setItem(CONFIG.ynabBaseUrlPath, url.trim());
+    } else {
+        localStorage.removeItem(CONFIG.ynabBaseUrlPath);
+    }
+}
+
+// --- Rate limiting ---
+
+// Timestamps of recent requests, persisted so reloads don't reset the hourly budget
+let requestTimes = JSON.parse(localStorage.getItem(CONFIG.ynabRequestTimesKey) || '[]');
+
+function recordRequestTime() {
+    const now = Date.now();
+    requestTimes = requestTimes.filter(t => now - t < RATE_WINDOW_MS);
+    requestTimes.push(now);
+    localStorage.setItem(CONFIG.ynabRequestTimesKey, JSON.stringify(requestTimes));
+}
+
+export function getRemainingRequests() {
+    const now = Date.now();
+    return Math.max(0, RATE_LIMIT - requestTimes.filter(t => now - t < RATE_WINDOW_MS).length);
+}
+
+function msUntilRequestAllowed() {
+    const now = Date.now();
+    const recent = requestTimes.filter(t => now - t < RATE_WINDOW_MS);
+    if (recent.length < RATE_LIMIT) return 0;
+    return RATE_WINDOW_MS - (now - recent[recent.length - RATE_LIMIT]);
+}
+
+function backoffDelay(attempt, retryAfterMs) {
+    if (retryAfterMs) return retryAfterMs;
+    // 1s, 2s, 4s... plus jitter so parallel callers don't retry in lockstep
+    return BASE_DELAY_MS * 2 ** attempt + Math.random() * 250;
+}
+
+function parseRetryAfter(response) {
+    const header = response.headers.get('Retry-After');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// --- Request log ---
+
+const requestLog = [];
+
+function logRequest(entry) {
+    requestLog.push(entry);
+    if (requestLog.length > LOG_SIZE) requestLog.shift();
+}
+
+export function getRequestLog() {
+    return [...requestLog];
+}
+
+export function clearRequestLog() {
+    requestLog.length = 0;
+}
+
+// --- Requests ---
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends a request to the YNAB API and resolves to the response's `data` object.
+ * 429 responses are retried with exponential backoff, unless YNAB asks for more than MAX_RETRY_WAIT_MS. Network errors and 5xx may have
+ * been applied by YNAB, so they are only retried when `idempotent` (GETs, or POSTs whose
+ * transactions all carry an import_id); `onAmbiguousRetry` is called before each such retry.
+ */
+export async function ynabRequest(path, { method = 'GET', body, query, idempotent = method === 'GET', onAmbiguousRetry } = {}) {
+    const token = DOM.apiPAT.value;
+    if (!token) throw new YNABAuthError('No YNAB Personal Access Token configured');
+
+    let url = `${getBaseURL()}${path}`;
+    if (query) {
+        const params = new URLSearchParams(Object.entries(query).filter(([, v]) => v !== undefined && v !== null));
+        if ([...params].length > 0) url += `?${params}`;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const waitMs = msUntilRequestAllowed();
+        if (waitMs > 0) {
+            const err = new YNABRateLimitError(`YNAB hourly request limit reached, try again in ${Math.ceil(waitMs / 60000)} min`, waitMs);
+            logRequest({ time: new Date().toISOString(), method, path, attempt, status: null, durationMs: 0, error: err.message });
+            throw err;
+        }
+
+        const started = performance.now();
+        const entry = { time: new Date().toISOString(), method, path, attempt, status: null, durationMs: 0, error: null };
+        recordRequestTime();
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (networkErr) {
+            entry.durationMs = Math.round(performance.now() - started);
+            entry.error = networkErr.message;
+            logRequest(entry);
+            if (idempotent && attempt < MAX_RETRIES) {
+                onAmbiguousRetry?.();
+                await sleep(backoffDelay(attempt));
+                continue;
+            }
+            throw new YNABError(`Could not reach YNAB: ${networkErr.message}`);
+        }
+
+        entry.status = response.status;
+        entry.durationMs = Math.round(performance.now() - started);
+
+        if (response.ok) {
+            logRequest(entry);
+            const json = await response.json();
+            return json.data;
+        }
+
+        let detail = null, errorId = null;
+        try {
+            const json = await response.json();
+            detail = json.error.detail;
+            errorId = json.error.id;
+        } catch (parseErr) {
+            // Non-JSON error body (e.g. from a proxy); fall back to the status-based message
+        }
+
+        const retryAfterMs = parseRetryAfter(response);
+        entry.error = detail || response.statusText;
+        logRequest(entry);
+
+        const ambiguous = response.status >= 500;
+        const retryable = response.status === 429 || (ambiguous && idempotent);
+        const delay = backoffDelay(attempt, retryAfterMs);
+        if (retryable && attempt < MAX_RETRIES && delay <= MAX_RETRY_WAIT_MS) {
+            if (ambiguous) onAmbiguousRetry?.();
+            if (delay > NOTICEABLE_WAIT_MS) {
+                showToast(`YNAB ${response.status === 429 ? 'rate limit reached' : 'is not responding'}, retrying in ${Math.ceil(delay / 1000)}s`, 'warning');
+            }
+            await sleep(delay);
+            continue;
+        }
+
+        throw createError(response.status, detail, errorId, retryAfterMs);
+    }
+}
+
+export function ynabGet(path, query) {
+    return ynabRequest(path, { query });
+}
+
+export function ynabPost(path, body, options = {}) {
+    return ynabRequest(path, { ...options, method: 'POST', body });
+}
@@ -1,29 +1,36 @@
 import { DOM } from './dom.js';
-import { showToast, updateProgressCounter } from './ui.js';
-import { setYNABCategories, getYNABCategories, markAsProcessed, CONFIG } from './config.js';
+import { showToast, updateProgressCounter, setCardStatus, showFieldError, clearFieldErrors, showPushSummary } from './ui.js';
+import { setYNABCategories, getYNABCategories, setBudgetCurrencies, getBudgetCurrency, getAccountDefaults, findFolderDefaults, CONFIG } from './config.js';
+import { truncateMemo, MEMO_MAX_LENGTH } from './memo.js';
+import { toMilliunits, toMinorUnits, formatMoney, DEFAULT_CURRENCY } from './currency.js';
+import { findDuplicateMatch, shiftDate } from './duplicates.js';
+import { showDuplicateWarning, getSplitLines, getCardMemo, getRefundOf, recordCardInLedger, removeCard } from './card.js';
+import { syncBudgetResource, getCachedBudgetResource, listCategories } from './budget-sync.js';
+import { learnFromPush } from './rules.js';
+import { requestArchiveAccess } from './archive.js';
+import { ynabGet, ynabPost, YNABConflictError, YNABAuthError } from './ynab-client.js';
 
 export async function fetchYNABBudgets() {
     const apiPAT = DOM.apiPAT.value;
     if (!apiPAT) return [];
 
     try {
-        const response = await fetch('https://api.ynab.com/v1/budgets', {
-            headers: { 'Authorization': `Bearer ${apiPAT}` }
-        });
-
-        if (!response.ok) throw new Error('Failed to fetch budgets');
-
-        const data = await response.json();
-        const budgets = data.data.budgets.map(b => ({
+        const data = await ynabGet('/budgets');
+        const budgets = data.budgets.map(b => ({
             id: b.id,
             name: b.name
         }));
 
+        // Remember each budget's currency for converting foreign receipts
+        setBudgetCurrencies(Object.fromEntries(data.budgets
+            .filter(b => b.currency_format)
+            .map(b => [b.id, b.currency_format.iso_code])));
+
         updateBudgetDropdown(budgets);
         return budgets;
     } catch (err) {
         console.error('Error loading YNAB budgets:', err);
-        showToast('Failed to load budgets', 'error');
+        showToast(err instanceof YNABAuthError ? 'YNAB rejected your access token' : 'Failed to load budgets', 'error');
         return [];
     }
 }
@@ -33,15 +40,9 @@ export async function fetchYNABAccounts(budgetId) {
     if (!apiPAT || !budgetId) return [];
 
     try {
-        const response = await fetch(`https://api.ynab.com/v1/budgets/${budgetId}/accounts`, {
-            headers: { 'Authorization': `Bearer ${apiPAT}` }
-        });
-
-        if (!response.ok) throw new Error('Failed to fetch accounts');
-
-        const data = await response.json();
+        const { items } = await syncBudgetResource(budgetId, 'accounts');
         // Filter for on_budget accounts
-        const accounts = data.data.accounts
+        const accounts = Object.values(items)
             .filter(a => a.on_budget && !a.closed)
             .map(a => ({
                 id: a.id,
@@ -58,6 +59,78 @@ export async function fetchYNABAccounts(budgetId) {
     }
 }
 
+export async function fetchYNABPayees(budgetId) {
+    const apiPAT = DOM.apiPAT.value;
+    if (!apiPAT || !budgetId) return [];
+
+    try {
+        const { items } = await syncBudgetResource(budgetId, 'payees');
+        const payees = Object.values(items);
+        updatePayeeUI(payees);
+        return payees;
+    } catch (err) {
+        console.error('Error loading YNAB payees:', err);
+        // Fall back to whatever we synced last time
+        const payees = getCachedPayees(budgetId);
+        updatePayeeUI(payees);
+        return payees;
+    }
+}
+
+export function getCachedPayees(budgetId) {
+    const cached = getCachedBudgetResource(budgetId, 'payees');
+    return cached ? Object.values(cached) : [];
+}
+
+function updatePayeeUI(payees) {
+    const list = document.getElementById('ynab-payee-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    payees
+        .filter(p => !p.transfer_account_id)
+        .forEach(p => {
+            const option = document.createElement('option');
+            option.value = p.name;
+            list.appendChild(option);
+        });
+}
+
+// Open on-budget accounts from the synced cache
+export function getCachedAccounts(budgetId) {
+    const cached = getCachedBudgetResource(budgetId, 'accounts');
+    return cached ? Object.values(cached).filter(a => a.on_budget && !a.closed) : [];
+}
+
+export async function fetchAccountTransactions(budgetId, accountId, sinceDate) {
+    const data = await ynabGet(`/budgets/${budgetId}/accounts/${accountId}/transactions`, { since_date: sinceDate });
+    return data.transactions.filter(t => !t.deleted);
+}
+
+// Takes prepared transactions ({ data, meta }); returns one match (or null) per transaction, in the same order
+async function findLikelyDuplicates(budgetId, prepared) {
+    if (prepared.length === 0) return [];
+
+    const transactions = prepared.map(p => p.data);
+    const tolerance = CONFIG.duplicateDateToleranceDays;
+    const accountIds = [...new Set(transactions.map(t => t.account_id))];
+
+    try {
+        const existingByAccount = {};
+        for (const accountId of accountIds) {
+            const earliest = transactions.filter(t => t.account_id === accountId).map(t => t.date).sort()[0];
+            existingByAccount[accountId] = await fetchAccountTransactions(budgetId, accountId, shiftDate(earliest, -tolerance));
+        }
+        // A matched payee is sent as payee_id only; its name is what bank-feed payees are compared with
+        return prepared.map(({ data, meta }) => findDuplicateMatch(data, existingByAccount[data.account_id], tolerance, { payeeName: meta.payeeName }));
+    } catch (err) {
+        // import_id still protects against our own re-pushes, so don't block on this
+        console.warn('Duplicate check failed:', err);
+        showToast('Could not check YNAB for duplicates', 'warning');
+        return prepared.map(() => null);
+    }
+}
+
 function updateBudgetDropdown(budgets) {
     const select = DOM.budgetId;
     const currentBudgetId = localStorage.getItem(CONFIG.ynabBudgetIdPath);
@@ -84,13 +157,11 @@ export async function fetchYNABCategories(forceRefresh = false) {
     }
 
     const cached = getYNABCategories();
-    // cached now expected to be { budgetId, categories } or []
+    const hasCache = cached && cached.budgetId === budgetId && cached.categories.length > 0;
 
-    // Use cached if available, not forced, and matches current budget
-    if (!forceRefresh && cached && cached.budgetId === budgetId && cached.categories.length > 0) {
-        console.log(`Using ${cached.categories.length} cached YNAB categories for budget ${budgetId}`);
+    // Show what we have right away; the delta sync below only fetches changes
+    if (hasCache) {
         updateCategoryUI(cached.categories);
-        return cached.categories;
     }
 
     // UI Feedback for refresh
@@ -98,36 +169,23 @@ export async function fetchYNABCategories(forceRefresh = false) {
     if (refreshBtn) refreshBtn.classList.add('rotating');
 
     try {
-        const response = await fetch(`https://api.ynab.com/v1/budgets/${budgetId}/categories`, {
-            headers: { 'Authorization': `Bearer ${apiPAT}` }
-        });
-
-        if (!response.ok) throw new Error('Failed to fetch categories');
-
-        const data = await response.json();
-        const groups = data.data.category_groups;
-
-        const categoriesList = [];
-        groups.forEach(group => {
-            if (group.hidden || group.deleted) return;
-            group.categories.forEach(cat => {
-                if (!cat.hidden && !cat.deleted) {
-                    categoriesList.push({
-                        id: cat.id,
-                        name: cat.name,
-                        group: group.name
-                    });
-                }
-            });
-        });
-
-        setYNABCategories({ budgetId, categories: categoriesList });
-        updateCategoryUI(categoriesList);
-        showToast(`Loaded ${categoriesList.length} YNAB categories`, 'success');
-        console.log(`Loaded ${categoriesList.length} YNAB categories`);
+        // forceRefresh drops server_knowledge and re-downloads the whole tree
+        const { items, changed } = await syncBudgetResource(budgetId, 'categories', { full: forceRefresh });
+        const categoriesList = listCategories(items);
+
+        if (changed || !hasCache) {
+            setYNABCategories({ budgetId, categories: categoriesList });
+            updateCategoryUI(categoriesList);
+            showToast(`Loaded ${categoriesList.length} YNAB categories`, 'success');
+            console.log(`Loaded ${categoriesList.length} YNAB categories`);
+        }
         return categoriesList;
     } catch (err) {
         console.error('Error loading YNAB categories:', err);
+        if (hasCache) {
+            console.log(`Using ${cached.categories.length} cached YNAB categories for budget ${budgetId}`);
+            return cached.categories;
+        }
         showToast('Failed to load categories', 'error');
         return [];
     } finally {
@@ -147,62 +205,273 @@ function updateCategoryUI(categories) {
     }
 }
 
-export function prepareTransactionData(card, ynabCategories, accountId) {
+export function prepareTransactionData(card, ynabCategories, accountId, payees = []) {
     const merchant = card.querySelector('.merchant-input').value;
+    const payeeName = card.querySelector('.payee-input').value.trim();
     const date = card.querySelector('.date-input').value;
     const amountVal = card.querySelector('.amount-input').value;
-    const categoryName = card.querySelector('.category-input').value.trim();
-
-    if (!merchant || !date || !amountVal) {
-        return { error: 'Missing required fields (Merchant, Date, or Amount)' };
+    const cardAccountId = card.querySelector('.account-input').value;
+    const flagColor = card.querySelector('.flag-input').value;
+    const cleared = card.querySelector('.cleared-input').value;
+    const approved = card.querySelector('.approved-input').checked;
+    const kind = card.querySelector('.kind-input').value;
+
+    if (!merchant) return { error: 'Merchant is required', field: 'merchant' };
+    if (!date) return { error: 'Date is required', field: 'date' };
+    if (!amountVal) return { error: 'Amount is required', field: 'amount' };
+    if (kind === 'void') return { error: 'Voided receipt — dismiss it instead of pushing', field: 'kind' };
+
+    const splitLines = getSplitLines(card);
+    // Subfolder mapping fills whatever the card leaves open
+    const folderDefaults = findFolderDefaults(DOM.budgetId.value, card.dataset.folder) || {};
+    const categoryName = card.querySelector('.category-input').value.trim() || folderDefaults.categoryName || '';
+
+    // Resolve Category ID (a split's categories live on its lines instead)
+    let categoryId = null;
+    if (categoryName && !splitLines) {
+        const resolved = resolveCategory(categoryName, ynabCategories);
+        if (resolved.error) return { error: resolved.error, field: 'category' };
+        categoryId = resolved.id;
     }
 
-    // Resolve Category ID
-    let categoryId = null;
-    if (categoryName) {
-        // Case-insensitive match, ignore whitespace
-        const normalizedInput = categoryName.toLowerCase();
-        const match = ynabCategories.find(c => c.name.toLowerCase() === normalizedInput);
+    // Receipt currency -> budget currency milliunits
+    const budgetCurrency = getBudgetCurrency(DOM.budgetId.value) || DEFAULT_CURRENCY;
+    const receiptCurrency = card.querySelector('.currency-input').value || budgetCurrency;
+    const converted = toMilliunits(Math.abs(parseFloat(amountVal)), receiptCurrency, budgetCurrency);
+    if (converted.error) return { error: converted.error, field: 'currency' };
+
+    const data = {
+        account_id: cardAccountId || folderDefaults.accountId || accountId, // Card, folder mapping, else the default account
+        date: date,
+        amount: kind === 'refund' ? converted.milliunits : -converted.milliunits, // Refunds are inflows
+        category_id: categoryId,
+        cleared: cleared,
+        approved: approved,
+        flag_color: flagColor || null
+    };
 
-        if (match) {
-            categoryId = match.id;
-        } else if (ynabCategories.length > 0) {
-            // Only error if we actually have categories loaded
-            return { error: `Category "${categoryName}" not found.` };
+    const refundOf = kind === 'refund' ? getRefundOf(card) : null;
+    const before = [
+        getAccountDefaults(DOM.budgetId.value, data.account_id).memoPrefix,
+        refundOf ? `Refund of ${refundOf.date}` : ''
+    ].filter(Boolean);
+    // Keep the original amount traceable when it was converted
+    const after = receiptCurrency !== budgetCurrency
+        ? [`${formatMoney(Math.abs(parseFloat(amountVal)), receiptCurrency)} @ ${+converted.rate.toFixed(6)}`]
+        : [];
+    // Only the template part is shortened; the prefix, refund link and conversion trace are kept whole
+    const fixed = [...before, ...after];
+    const room = MEMO_MAX_LENGTH - Array.from(fixed.join(' ')).length - (fixed.length > 0 ? 1 : 0);
+    const cardMemo = room > 0 ? truncateMemo(getCardMemo(card), room) : '';
+    const memo = [...before, cardMemo, ...after].filter(Boolean).join(' ');
+    if (memo) data.memo = truncateMemo(memo);
+
+    if (splitLines) {
+        const split = buildSubtransactions(splitLines, ynabCategories, Math.abs(parseFloat(amountVal)), receiptCurrency, budgetCurrency, data.amount);
+        if (split.error) return { error: split.error, field: 'split' };
+        // A split whose lines all share one category is just a categorized transaction
+        if (split.subtransactions.length === 1) {
+            data.category_id = split.subtransactions[0].category_id;
         } else {
-            return { error: `Categories not loaded. Please refresh.` };
+            data.category_id = null;
+            data.subtransactions = split.subtransactions;
         }
     }
 
-    const amount = parseInt(amountVal) * 1000; // JPY Amount * 1000 for YNAB milliunits
+    // Prefer an existing YNAB payee over creating a new one from the raw merchant string
+    const existingPayee = payeeName && payees.find(p => p.name.toLowerCase() === payeeName.toLowerCase());
+    if (existingPayee) {
+        data.payee_id = existingPayee.id;
+    } else {
+        data.payee_name = payeeName || merchant;
+    }
+
+    // Same receipt file => same import_id, so YNAB rejects re-pushes as duplicates
+    const importId = buildImportId(card.dataset.fileHash);
+    if (importId) data.import_id = importId;
 
     return {
-        data: {
-            account_id: accountId,
-            date: date,
-            amount: -Math.abs(amount), // Outflow
-            payee_name: merchant,
-            category_id: categoryId,
-            cleared: 'cleared',
-            approved: true,
-            flag_color: 'yellow'
-        },
+        data,
         meta: {
             merchant,
-            fileName: card.querySelector('.merchant-input').placeholder || 'receipt'
+            payeeName: existingPayee ? existingPayee.name : data.payee_name,
+            categoryName,
+            fileName: card.dataset.fileName || 'receipt',
+            refundOf
         }
     };
 }
 
-export async function pushToYNAB(card, fileName) {
-    const apiPAT = DOM.apiPAT.value;
-    const budgetId = DOM.budgetId.value;
-    const accountId = DOM.accountId.value;
-    if (!apiPAT || !budgetId || !accountId) {
-        showToast('Please fill in all YNAB settings.', 'error');
-        return false;
+function resolveCategory(categoryName, ynabCategories) {
+    // Case-insensitive match, ignore whitespace
+    const normalizedInput = categoryName.trim().toLowerCase();
+    const match = ynabCategories.find(c => c.name.toLowerCase() === normalizedInput);
+
+    if (match) return { id: match.id };
+    // Only error if we actually have categories loaded
+    if (ynabCategories.length > 0) return { error: `Category "${categoryName}" not found.` };
+    return { error: `Categories not loaded. Please refresh.` };
+}
+
+// Groups split lines by category into YNAB subtransactions. Lines must add up to the receipt total
+// in the receipt currency; after conversion, rounding drift is absorbed by the largest line.
+function buildSubtransactions(lines, ynabCategories, total, receiptCurrency, budgetCurrency, totalMilliunits) {
+    if (lines.length === 0) return { error: 'Split has no lines' };
+
+    const lineSum = lines.reduce((sum, line) => sum + toMinorUnits(line.price, receiptCurrency), 0);
+    if (lineSum !== toMinorUnits(total, receiptCurrency)) {
+        const lineTotal = lines.reduce((sum, line) => sum + line.price, 0);
+        return { error: `Split lines add up to ${formatMoney(lineTotal, receiptCurrency)}, but the total is ${formatMoney(total, receiptCurrency)}` };
+    }
+
+    const groups = new Map();
+    for (const line of lines) {
+        let categoryId = null;
+        if (line.category) {
+            const resolved = resolveCategory(line.category, ynabCategories);
+            if (resolved.error) return { error: `Split line "${line.name || line.price}": ${resolved.error}` };
+            categoryId = resolved.id;
+        }
+
+        if (!groups.has(categoryId)) groups.set(categoryId, { price: 0, names: [] });
+        const group = groups.get(categoryId);
+        group.price += line.price;
+        if (line.name) group.names.push(line.name);
+    }
+
+    const direction = Math.sign(totalMilliunits) || -1; // Follows the parent: outflow, or inflow for refunds
+    const subtransactions = [...groups].map(([categoryId, group]) => ({
+        amount: direction * toMilliunits(group.price, receiptCurrency, budgetCurrency).milliunits,
+        category_id: categoryId,
+        memo: group.names.join(', ').slice(0, 200) || null
+    }));
+
+    const drift = totalMilliunits - subtransactions.reduce((sum, sub) => sum + sub.amount, 0);
+    if (drift !== 0) {
+        const largest = subtransactions.reduce((a, b) => (Math.abs(b.amount) > Math.abs(a.amount) ? b : a));
+        largest.amount += drift;
+    }
+    return { subtransactions };
+}
+
+export function buildImportId(fileHash) {
+    if (!fileHash) return null;
+    // YNAB caps import_id at 36 characters
+    return `RCPT:${fileHash.slice(0, 31)}`;
+}
+
+// Without an import_id YNAB can't tell a retried POST from a new one, so only keyed POSTs are retried
+function postOptions(transactions, onAmbiguousRetry) {
+    return { idempotent: transactions.every(t => t.import_id), onAmbiguousRetry };
+}
+
+/**
+ * A duplicate reported after a retry is usually the first attempt having gone through.
+ * Resolves to import_id -> transaction id for the given import_ids that exist in the budget.
+ */
+async function findImportedTransactions(budgetId, transactions) {
+    const sinceDate = transactions.map(t => t.date).sort()[0];
+    const wanted = new Set(transactions.map(t => t.import_id));
+    const data = await ynabGet(`/budgets/${budgetId}/transactions`, { since_date: sinceDate }).catch(err => {
+        console.warn('Could not look up transactions created by a retried push:', err);
+        return {};
+    });
+    return new Map((data.transactions || [])
+        .filter(t => wanted.has(t.import_id))
+        .map(t => [t.import_id, t.id]));
+}
+
+// Creates a single transaction. Resolves to { status: 'pushed', id } or { status: 'duplicate' }.
+async function postTransaction(budgetId, transaction) {
+    let retried = false;
+    let saved = null;
+    try {
+        saved = await ynabPost(`/budgets/${budgetId}/transactions`, { transaction },
+            postOptions([transaction], () => { retried = true; }));
+    } catch (err) {
+        // 409: a transaction with this import_id already exists on the account
+        if (!(err instanceof YNABConflictError)) throw err;
+    }
+
+    if (saved && !(saved.duplicate_import_ids || []).includes(transaction.import_id)) {
+        return { status: 'pushed', id: saved.transaction.id };
+    }
+    if (retried) {
+        const id = (await findImportedTransactions(budgetId, [transaction])).get(transaction.import_id);
+        if (id) return { status: 'pushed', id };
     }
+    return { status: 'duplicate' };
+}
+
+// Creates transactions in bulk. Resolves to one { status, id } per input transaction, in order.
+async function postTransactions(budgetId, transactions) {
+    let retried = false;
+    const data = await ynabPost(`/budgets/${budgetId}/transactions`, { transactions },
+        postOptions(transactions, () => { retried = true; }));
+    const duplicateImportIds = new Set(data.duplicate_import_ids || []);
+    const saved = data.transactions || [];
+    const idByImportId = new Map(saved.filter(t => t.import_id).map(t => [t.import_id, t.id]));
+    const unkeyedIds = saved.filter(t => !t.import_id).map(t => t.id);
+
+    const duplicates = transactions.filter(t => t.import_id && duplicateImportIds.has(t.import_id));
+    const retriedIds = retried && duplicates.length > 0 ? await findImportedTransactions(budgetId, duplicates) : new Map();
+
+    return transactions.map(t => {
+        if (t.import_id && duplicateImportIds.has(t.import_id)) {
+            const id = retriedIds.get(t.import_id);
+            return id ? { status: 'pushed', id } : { status: 'duplicate' };
+        }
+        const id = t.import_id ? idByImportId.get(t.import_id) : unkeyedIds.shift();
+        return { status: 'pushed', id };
+    });
+}
+
+function markCardAlreadyInYNAB(card) {
+    card.classList.add('duplicate');
+    setCardStatus(card, 'Already in YNAB', 'duplicate');
+
+    const pushBtn = card.querySelector('.btn-push');
+    pushBtn.disabled = true;
+    pushBtn.textContent = 'Already in YNAB';
+
+    recordCardInLedger(card, 'in-ynab');
+}
+
+function markCardSynced(card, transactionId) {
+    card.classList.add('synced');
+    setCardStatus(card, transactionId ? `Pushed · ${transactionId}` : 'Pushed', 'success');
+    setTimeout(() => removeCard(card), 500);
+}
 
+// Remember the final choices for this merchant so the next receipt is pre-filled
+function rememberPush(card, budgetId, result, transactionId) {
+    recordCardInLedger(card, 'pushed', {
+        budgetId,
+        transactionId: transactionId || null,
+        payeeName: result.meta.payeeName,
+        accountId: result.data.account_id,
+        amount: result.data.amount,
+        memo: result.data.memo || '',
+        refundOf: result.meta.refundOf ? result.meta.refundOf.fileHash : null
+    });
+
+    learnFromPush(budgetId, result.meta.merchant, {
+        payeeId: result.data.payee_id,
+        payeeName: result.meta.payeeName,
+        categoryName: result.meta.categoryName,
+        accountId: result.data.account_id,
+        flagColor: result.data.flag_color || ''
+    }).catch(err => console.warn('Could not update merchant rules:', err));
+}
+
+function markCardRejected(card, detail) {
+    setCardStatus(card, `Rejected by YNAB: ${detail}`, 'error');
+    const pushBtn = card.querySelector('.btn-push');
+    pushBtn.disabled = false;
+    pushBtn.innerHTML = '<span class="icon">💰</span> Push to YNAB';
+}
+
+async function getCategoriesForPush(budgetId) {
     let categoryData = getYNABCategories();
     let ynabCategories = Array.isArray(categoryData) ? categoryData : (categoryData.categories || []);
 
@@ -211,50 +480,62 @@ export async function pushToYNAB(card, fileName) {
         ynabCategories = await fetchYNABCategories();
         if (ynabCategories.length === 0) {
             showToast('Could not load YNAB categories. Please check API key.', 'error');
-            return false;
+            return null;
         }
     }
+    return ynabCategories;
+}
+
+export async function pushToYNAB(card) {
+    requestArchiveAccess([card.dataset.fileHash]);
+    const apiPAT = DOM.apiPAT.value;
+    const budgetId = DOM.budgetId.value;
+    const accountId = DOM.accountId.value;
+    if (!apiPAT || !budgetId || !accountId) {
+        showToast('Please fill in all YNAB settings.', 'error');
+        return false;
+    }
+
+    const ynabCategories = await getCategoriesForPush(budgetId);
+    if (!ynabCategories) return false;
 
-    const result = prepareTransactionData(card, ynabCategories, accountId);
+    clearFieldErrors(card);
+    setCardStatus(card, null);
+
+    const result = prepareTransactionData(card, ynabCategories, accountId, getCachedPayees(budgetId));
     if (result.error) {
+        showFieldError(card, result.field, result.error);
         showToast(result.error, 'error');
         return false;
     }
 
-    const transaction = {
-        transaction: result.data
-    };
-
     const pushBtn = card.querySelector('.btn-push');
     pushBtn.disabled = true;
     pushBtn.textContent = '⏳';
 
+    if (card.dataset.duplicateOverride !== 'true') {
+        const [match] = await findLikelyDuplicates(budgetId, [result]);
+        if (match) {
+            showDuplicateWarning(card, match);
+            return false;
+        }
+    }
+
     try {
-        const response = await fetch(`https://api.ynab.com/v1/budgets/${budgetId}/transactions`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiPAT}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(transaction)
-        });
+        const outcome = await postTransaction(budgetId, result.data);
 
-        if (!response.ok) {
-            const err = await response.json();
-            throw new Error(err.error.detail || 'YNAB API error');
+        if (outcome.status === 'duplicate') {
+            markCardAlreadyInYNAB(card);
+            showToast(`${result.meta.merchant} is already in YNAB`, 'info');
+            return false;
         }
 
         showToast(`Synced ${result.meta.merchant} to YNAB!`, 'success');
-        card.classList.add('synced');
-        setTimeout(() => {
-            card.remove();
-            markAsProcessed(fileName);
-            updateProgressCounter(); // Update progress when a card is removed
-        }, 500);
+        markCardSynced(card, outcome.id);
+        rememberPush(card, budgetId, result, outcome.id);
     } catch (err) {
         showToast(err.message, 'error');
-        pushBtn.disabled = false;
-        pushBtn.innerHTML = '<span class="icon">💰</span> Push to YNAB';
+        markCardRejected(card, err.message);
         return false;
     }
     return true;
@@ -271,6 +552,7 @@ export async function pushAllToYNAB() {
         showToast('No receipts ready to push', 'info');
         return;
     }
+    requestArchiveAccess(readyCards.map(card => card.dataset.fileHash));
 
     const apiPAT = DOM.apiPAT.value;
     const budgetId = DOM.budgetId.value;
@@ -280,89 +562,108 @@ export async function pushAllToYNAB() {
         return;
     }
 
-    let categoryData = getYNABCategories();
-    let ynabCategories = Array.isArray(categoryData) ? categoryData : (categoryData.categories || []);
+    const ynabCategories = await getCategoriesForPush(budgetId);
+    if (!ynabCategories) return;
 
-    if (ynabCategories.length === 0 || (!Array.isArray(categoryData) && categoryData.budgetId !== budgetId)) {
-        ynabCategories = await fetchYNABCategories();
-        if (ynabCategories.length === 0) {
-            showToast('Could not load YNAB categories. Please check API key.', 'error');
-            return;
-        }
-    }
+    const payees = getCachedPayees(budgetId);
 
-    // Prepare all transactions
-    const validTransactions = [];
-    const processedCards = [];
+    // One entry per receipt in the batch, reported in the summary dialog
+    const outcomes = [];
 
+    // Prepare all transactions
+    const batch = [];
     for (const card of readyCards) {
-        const result = prepareTransactionData(card, ynabCategories, accountId);
+        clearFieldErrors(card);
+        setCardStatus(card, null);
+
+        const fileName = card.dataset.fileName || 'receipt';
+        const merchant = card.querySelector('.merchant-input').value;
+        const outcome = { card, fileName, merchant };
+        outcomes.push(outcome);
+
+        const result = prepareTransactionData(card, ynabCategories, accountId, payees);
         if (result.error) {
-            // Highlight error on card but don't block others (or maybe warn user?)
-            // For now, let's skip invalid ones and notify at the end
-            console.error(`Skipping card due to error: ${result.error}`);
+            showFieldError(card, result.field, result.error);
+            Object.assign(outcome, { status: 'invalid', detail: result.error });
             continue;
         }
-        validTransactions.push(result.data);
-        processedCards.push(card);
+        batch.push({ card, outcome, result, transaction: result.data });
     }
 
-    if (validTransactions.length === 0) {
+    if (batch.length === 0) {
         showToast('No valid transactions to push.', 'warning');
+        showPushSummary(outcomes);
         return;
     }
 
-    // UI Updates: Disable buttons
+    // UI Updates: Disable buttons of the cards in this batch
     DOM.btnPushAll.disabled = true;
-    const allPushBtns = Array.from(DOM.receiptList.querySelectorAll('.btn-push'));
-    allPushBtns.forEach(btn => btn.disabled = true);
-
-    // Update progress text
-    DOM.progressCounter.querySelector('.progress-text').textContent = `Pushing ${validTransactions.length} transactions...`;
-
-    try {
-        const response = await fetch(`https://api.ynab.com/v1/budgets/${budgetId}/transactions`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiPAT}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ transactions: validTransactions })
-        });
+    batch.forEach(({ card }) => card.querySelector('.btn-push').disabled = true);
+
+    // Hold back likely duplicates of existing YNAB transactions for review
+    DOM.progressCounter.querySelector('.progress-text').textContent = 'Checking for duplicates...';
+    const toCheck = batch.filter(({ card }) => card.dataset.duplicateOverride !== 'true');
+    const matches = await findLikelyDuplicates(budgetId, toCheck.map(item => item.result));
+    toCheck.forEach((item, i) => {
+        if (!matches[i]) return;
+        batch.splice(batch.indexOf(item), 1);
+        showDuplicateWarning(item.card, matches[i]);
+        Object.assign(item.outcome, { status: 'held', detail: 'Looks like an existing YNAB transaction' });
+    });
 
-        if (!response.ok) {
-            const err = await response.json();
-            throw new Error(err.error.detail || 'YNAB Bulk API error');
+    if (batch.length > 0) {
+        // Update progress text
+        DOM.progressCounter.querySelector('.progress-text').textContent = `Pushing ${batch.length} transactions...`;
+
+        let results;
+        try {
+            results = await postTransactions(budgetId, batch.map(item => item.transaction));
+        } catch (err) {
+            console.error('Bulk push error:', err);
+            if (err.status === 400 && batch.length > 1) {
+                // YNAB rejects the whole bulk request if one transaction is invalid,
+                // so push one by one to find out which receipts it objects to
+                results = [];
+                for (const item of batch) {
+                    try {
+                        results.push(await postTransaction(budgetId, item.transaction));
+                    } catch (itemErr) {
+                        results.push({ status: 'rejected', detail: itemErr.message });
+                    }
+                }
+            } else {
+                results = batch.map(() => ({ status: 'rejected', detail: err.message }));
+            }
         }
 
-        const data = await response.json();
-        // data.data.transaction_ids or duplicate_import_ids might be useful but we just assume success for now
-
-        showToast(`Successfully pushed ${validTransactions.length} receipts to YNAB!`, 'success');
-
-        // Cleanup processed cards
-        processedCards.forEach(card => {
-            const fileName = card.querySelector('.merchant-input').placeholder || 'receipt';
-            card.classList.add('synced');
-            setTimeout(() => {
-                card.remove();
-                markAsProcessed(fileName);
-                updateProgressCounter();
-            }, 500);
+        batch.forEach((item, i) => {
+            const { card, outcome } = item;
+            const res = results[i];
+            if (res.status === 'duplicate') {
+                markCardAlreadyInYNAB(card);
+                Object.assign(outcome, { status: 'duplicate', detail: 'Already in YNAB' });
+            } else if (res.status === 'pushed') {
+                markCardSynced(card, res.id);
+                rememberPush(card, budgetId, item.result, res.id);
+                Object.assign(outcome, { status: 'pushed', detail: res.id ? `Transaction ${res.id}` : '' });
+            } else {
+                markCardRejected(card, res.detail);
+                Object.assign(outcome, { status: 'rejected', detail: res.detail });
+            }
         });
+    }
 
-    } catch (err) {
-        console.error('Bulk push error:', err);
-        showToast(`Bulk push failed: ${err.message}`, 'error');
-        // Re-enable buttons if failed
-        allPushBtns.forEach(btn => {
-            // Only re-enable if it wasn't already disabled (but here we disabled all, so re-enable all)
-            // Actually we should only re-enable the ones we tried to push
-            btn.disabled = false;
-            btn.innerHTML = '<span class="icon">💰</span> Push to YNAB';
-        });
-    } finally {
-        DOM.btnPushAll.disabled = false;
-        updateProgressCounter();
+    const pushedCount = outcomes.filter(o => o.status === 'pushed').length;
+    // Duplicates are already in YNAB and held cards show their own warning; neither failed
+    const problemCount = outcomes.filter(o => o.status === 'invalid' || o.status === 'rejected').length;
+    if (pushedCount > 0) {
+        showToast(`Successfully pushed ${pushedCount} receipts to YNAB!`, 'success');
     }
+    if (problemCount > 0) {
+        showToast(`${problemCount} receipts need attention`, 'warning');
+    }
+
+    DOM.btnPushAll.disabled = false;
+    updateProgressCounter();
+    showPushSummary(outcomes);
 }
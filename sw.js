@@ -0,0 +1,30 @@
+// Service worker for the Web Share Target declared in manifest.webmanifest.
+// Shared files are POSTed to ./share-target; they are parked in a cache for the page
+// (js/intake.js takeSharedFiles) and the browser is redirected to the app.
+// Every other request goes straight to the network.
+
+// Must match CONFIG.shareCacheName in js/config.js
+const SHARE_CACHE = 'ynab-receipt-porter-shared';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'POST' || !url.pathname.endsWith('/share-target')) return;
+
+    event.respondWith((async () => {
+        const formData = await event.request.formData();
+        const cache = await caches.open(SHARE_CACHE);
+        const files = formData.getAll('receipts').filter(file => file instanceof File);
+
+        await Promise.all(files.map((file, index) => cache.put(
+            `shared/${Date.now()}-${index}`,
+            new Response(file, {
+                headers: { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) }
+            })
+        )));
+
+        return Response.redirect(new URL('./?share-target', self.registration.scope).href, 303);
+    })());
+});